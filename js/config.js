@@ -6,9 +6,47 @@
  * colors, or default behaviors without digging through the codebase.
  */
 const Config = (() => {
-    const VERSION = '1.0';
+    const VERSION = '1.1';
+    /**
+     * Older project formats that can still be loaded. Version 1.0 stored
+     * pixel geometry per polygon; colors are migrated by polygon id.
+     */
+    const LEGACY_VERSIONS = ['1.0'];
     const CANVAS_PADDING = 48;
+    /**
+     * World-space size of a single cell (hex radius, square side, triangle side).
+     * Grid builders lay boards out at this size; the viewport scales it to the screen.
+     */
+    const CELL_SIZE = 40;
+    /**
+     * Viewport zoom limits and the multiplier applied by the zoom buttons.
+     */
+    const MIN_ZOOM = 0.1;
+    const MAX_ZOOM = 8;
+    const ZOOM_STEP = 1.25;
+    /**
+     * Pixels per world unit used for PNG/PDF exports, capped so very large
+     * boards do not exceed what browsers can allocate for a canvas.
+     */
+    const EXPORT_SCALE = 2;
+    const EXPORT_MAX_DIMENSION = 8192;
     const HISTORY_LIMIT = 50;
+    /**
+     * Largest brush size offered in the UI. Size 1 paints a single cell; each
+     * extra step adds the next ring of neighbors.
+     */
+    const MAX_BRUSH_SIZE = 10;
+    /**
+     * Region count range of area maps; more regions make the Voronoi
+     * relaxation noticeably slow.
+     */
+    const MIN_REGION_COUNT = 2;
+    const MAX_REGION_COUNT = 500;
+    /**
+     * Number of picked colors kept in the "recent colors" strip when the
+     * eyedropper finds a color that no palette contains.
+     */
+    const MAX_RECENT_COLORS = 8;
     /**
      * Baseline tile color used for blank/erased cells.
      * Shared by the eraser tool and board resets.
@@ -17,6 +55,54 @@ const Config = (() => {
     const DEFAULT_FILL = DEFAULT_TILE_COLOR;
     const GRID_STROKE = '#333741';
     const HOVER_OUTLINE = '#2f6fed';
+    const SYMMETRY_GUIDE = 'rgba(47, 111, 237, 0.6)';
+    const SELECTION_OUTLINE = '#ffb300';
+    const LOCKED_CELL_OUTLINE = '#e91e63';
+    const MASKED_CELL_OUTLINE = 'rgba(255, 255, 255, 0.35)';
+    const RULER_COLOR = '#e53935';
+    /**
+     * Corner markers: radius in world units and the outline that keeps them
+     * visible on any tile color.
+     */
+    const VERTEX_MARKER_RADIUS = 8;
+    const VERTEX_MARKER_OUTLINE = '#1f2228';
+    /**
+     * Game tokens: largest radius in world units (smaller cells get smaller
+     * tokens), outline color and the longest label a token can carry.
+     */
+    const TOKEN_RADIUS = 14;
+    const TOKEN_OUTLINE = '#1f2228';
+    const MAX_TOKEN_LABEL_LENGTH = 3;
+    /**
+     * Text annotations: font size range in world units (a cell is CELL_SIZE
+     * across) and the text given to new annotations.
+     */
+    const MIN_ANNOTATION_FONT_SIZE = 6;
+    const MAX_ANNOTATION_FONT_SIZE = 120;
+    const DEFAULT_ANNOTATION_TEXT = 'Label';
+    /**
+     * Name of the layer every board starts with (and that single-layer
+     * project files load into).
+     */
+    const DEFAULT_LAYER_NAME = 'Base';
+    const MAX_LAYER_NAME_LENGTH = 32;
+    /**
+     * Largest value of a numeral icon stamp.
+     */
+    const MAX_ICON_NUMBER = 99;
+    /**
+     * Terrain generator defaults: feature size in cells (larger scales give
+     * broader continents) and the allowed scale range.
+     */
+    const DEFAULT_TERRAIN_SCALE = 6;
+    const MIN_TERRAIN_SCALE = 1;
+    const MAX_TERRAIN_SCALE = 30;
+    /**
+     * Coordinate label font. On screen, labels smaller than the minimum
+     * size (in pixels) are skipped instead of drawn as unreadable specks.
+     */
+    const LABEL_FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+    const MIN_LABEL_SCREEN_SIZE = 6;
     const AUTO_SAVE_KEY = 'protogames_autosave';
     const AUTO_SAVE_INTERVAL = 30000;
     const DEFAULT_PROJECT_NAME = 'protogames-board';
@@ -29,13 +115,20 @@ const Config = (() => {
         height: 11,
         radius: 5,
         size: 10,
-        triangleOrientation: 'point-up'
+        triangleOrientation: 'point-up',
+        innerRadius: 2,
+        armWidth: 3,
+        regionCount: 30,
+        seed: 1
     };
     /**
      * Themeable color palettes. Each palette carries an id, a human-friendly
      * name/description, and labeled swatches for clarity in the UI.
+     * `terrain` lists the swatches the terrain generator uses from low to
+     * high ground, each covering elevations up to `upTo` (0-1).
      *
-     * @type {Array<{id:string,name:string,description:string,colors:Array<{label:string,hex:string}>}>}
+     * @type {Array<{id:string,name:string,description:string,colors:Array<{label:string,hex:string}>,
+     *   terrain:Array<{label:string,upTo:number}>}>}
      */
     const COLOR_PALETTES = [
         {
@@ -51,6 +144,13 @@ const Config = (() => {
                 { label: 'Snow', hex: '#E8EAF6' },
                 { label: 'Village', hex: '#795548' },
                 { label: 'Volcanic', hex: '#BF360C' }
+            ],
+            terrain: [
+                { label: 'Water', upTo: 0.35 },
+                { label: 'Grassland', upTo: 0.6 },
+                { label: 'Forest', upTo: 0.75 },
+                { label: 'Mountain', upTo: 0.9 },
+                { label: 'Snow', upTo: 1 }
             ]
         },
         {
@@ -66,6 +166,13 @@ const Config = (() => {
                 { label: 'Ice', hex: '#06FFA5' },
                 { label: 'Energy', hex: '#90E0EF' },
                 { label: 'Void', hex: '#240046' }
+            ],
+            terrain: [
+                { label: 'Void', upTo: 0.3 },
+                { label: 'Deep Space', upTo: 0.6 },
+                { label: 'Nebula', upTo: 0.8 },
+                { label: 'Asteroid', upTo: 0.92 },
+                { label: 'Star', upTo: 1 }
             ]
         },
         {
@@ -81,6 +188,12 @@ const Config = (() => {
         { "hex": "#1565C0", "label": "Water" },
         { "hex": "#D84315", "label": "Lava" },
         { "hex": "#7B1FA2", "label": "Secret" }
+        ],
+        "terrain": [
+        { "label": "Lava", "upTo": 0.1 },
+        { "label": "Water", "upTo": 0.3 },
+        { "label": "Stone Floor", "upTo": 0.7 },
+        { "label": "Wall", "upTo": 1 }
         ]
         },
         {
@@ -96,6 +209,11 @@ const Config = (() => {
         { "hex": "#4CAF50", "label": "Life Support" },
         { "hex": "#9E9E9E", "label": "Storage" },
         { "hex": "#FFC107", "label": "Airlock" }
+        ],
+        "terrain": [
+        { "label": "Corridor", "upTo": 0.5 },
+        { "label": "Storage", "upTo": 0.75 },
+        { "label": "Hull", "upTo": 1 }
         ]
         },
         {
@@ -111,6 +229,13 @@ const Config = (() => {
         { "hex": "#37474F", "label": "Cave" },
         { "hex": "#BBDEFB", "label": "Glacier" },
         { "hex": "#E0F7FA", "label": "Fresh Snow" }
+        ],
+        "terrain": [
+        { "label": "Frozen Water", "upTo": 0.3 },
+        { "label": "Ice", "upTo": 0.45 },
+        { "label": "Snow", "upTo": 0.7 },
+        { "label": "Glacier", "upTo": 0.85 },
+        { "label": "Rock", "upTo": 1 }
         ]
         }        
     ];
@@ -135,6 +260,23 @@ const Config = (() => {
         return COLOR_PALETTES.slice();
     }
 
+    /**
+     * Finds a palette containing the given color, checking the preferred
+     * palette first so a shared color does not switch palettes needlessly.
+     *
+     * @param {string} color - Hex color string.
+     * @param {string} [preferredId] - Palette id to check first.
+     * @returns {Object|null} Matching palette definition or null.
+     */
+    function findPaletteByColor(color, preferredId) {
+        const normalized = color?.toLowerCase();
+        if (!normalized) return null;
+        const contains = (palette) => palette.colors.some((entry) => entry.hex.toLowerCase() === normalized);
+        const preferred = getPaletteById(preferredId);
+        if (preferred && contains(preferred)) return preferred;
+        return COLOR_PALETTES.find(contains) || null;
+    }
+
     /**
      * Resolves the default palette (falls back to the first entry).
      *
@@ -146,11 +288,44 @@ const Config = (() => {
 
     return {
         VERSION,
+        LEGACY_VERSIONS,
         CANVAS_PADDING,
+        CELL_SIZE,
+        MIN_ZOOM,
+        MAX_ZOOM,
+        ZOOM_STEP,
+        EXPORT_SCALE,
+        EXPORT_MAX_DIMENSION,
         HISTORY_LIMIT,
+        MAX_BRUSH_SIZE,
+        MIN_REGION_COUNT,
+        MAX_REGION_COUNT,
+        MAX_RECENT_COLORS,
+        DEFAULT_TILE_COLOR,
         DEFAULT_FILL,
         GRID_STROKE,
         HOVER_OUTLINE,
+        SYMMETRY_GUIDE,
+        SELECTION_OUTLINE,
+        LOCKED_CELL_OUTLINE,
+        MASKED_CELL_OUTLINE,
+        RULER_COLOR,
+        VERTEX_MARKER_RADIUS,
+        VERTEX_MARKER_OUTLINE,
+        TOKEN_RADIUS,
+        TOKEN_OUTLINE,
+        MAX_TOKEN_LABEL_LENGTH,
+        MIN_ANNOTATION_FONT_SIZE,
+        MAX_ANNOTATION_FONT_SIZE,
+        DEFAULT_ANNOTATION_TEXT,
+        MAX_ICON_NUMBER,
+        DEFAULT_TERRAIN_SCALE,
+        MIN_TERRAIN_SCALE,
+        MAX_TERRAIN_SCALE,
+        DEFAULT_LAYER_NAME,
+        MAX_LAYER_NAME_LENGTH,
+        LABEL_FONT_FAMILY,
+        MIN_LABEL_SCREEN_SIZE,
         AUTO_SAVE_KEY,
         AUTO_SAVE_INTERVAL,
         DEFAULT_PROJECT_NAME,
@@ -160,6 +335,7 @@ const Config = (() => {
         DEFAULT_PALETTE_ID,
         getPaletteById,
         getAllPalettes,
-        getDefaultPalette
+        getDefaultPalette,
+        findPaletteByColor
     };
 })();
@@ -20,8 +20,9 @@ const Exporter = (() => {
             alert('Generate a board before exporting.');
             return;
         }
-        Renderer.renderBoard();
-        const dataUrl = state.canvas.toDataURL('image/png');
+        const exportCanvas = Renderer.renderExportCanvas();
+        if (!exportCanvas) return;
+        const dataUrl = exportCanvas.toDataURL('image/png');
         const base = state.currentProjectName || Config.DEFAULT_PROJECT_NAME;
         Utils.triggerDataUrlDownload(dataUrl, `${Utils.sanitizeFileName(base)}.png`);
         UI?.showNotification('PNG exported', 3000);
@@ -33,31 +34,210 @@ const Exporter = (() => {
             alert('Generate a board before exporting.');
             return;
         }
-        const { width, height } = state.canvas;
-        const paths = state.polygons
-            .map((polygon) => {
-                const commands = polygon.vertices
-                    .map((vertex, index) => `${index === 0 ? 'M' : 'L'} ${vertex.x.toFixed(2)} ${vertex.y.toFixed(2)}`)
-                    .join(' ');
-                const fill = polygon.color || Config.DEFAULT_FILL;
-                return `<path d="${commands} Z" fill="${fill}" stroke="${Config.GRID_STROKE}" stroke-width="1" />`;
-            })
-            .join('');
-        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${paths}</svg>`;
+        // The SVG covers the whole board in world units, independent of the current zoom/pan.
+        const bounds = Geometry.getPolygonsBounds(state.polygons);
+        const padding = Config.CANVAS_PADDING;
+        const minX = bounds.minX - padding;
+        const minY = bounds.minY - padding;
+        const width = bounds.width + padding * 2;
+        const height = bounds.height + padding * 2;
+        const paths = renderSVGCells(state.polygons, state.layers);
+        const icons = renderSVGIcons(state.icons, state.polygons);
+        const edges = renderSVGEdges(state.edges, state.polygons);
+        const markers = renderSVGVertexMarkers(state.vertexMarkers, state.polygons);
+        const tokens = state.exportTokens ? renderSVGTokens(state.tokens, state.polygons) : '';
+        const annotations = renderSVGAnnotations(state.annotations, state.polygons);
+        const labels = state.exportCoordinates ? renderSVGLabels(Renderer.getCoordinateLabels()) : '';
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX.toFixed(2)} ${minY.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)}" width="${Math.ceil(width)}" height="${Math.ceil(height)}">${paths}${icons}${edges}${markers}${tokens}${annotations}${labels}</svg>`;
         const blob = new Blob([svg], { type: 'image/svg+xml' });
         const base = state.currentProjectName || Config.DEFAULT_PROJECT_NAME;
         Utils.triggerBlobDownload(blob, `${Utils.sanitizeFileName(base)}.svg`);
         UI?.showNotification('SVG exported', 3000);
     }
 
+    function getPathData(polygon) {
+        const commands = polygon.vertices
+            .map((vertex, index) => `${index === 0 ? 'M' : 'L'} ${vertex.x.toFixed(2)} ${vertex.y.toFixed(2)}`)
+            .join(' ');
+        return `${commands} Z`;
+    }
+
+    /**
+     * The board's cells: blank tiles, one group per visible layer (named
+     * after it and carrying its opacity), then the grid lines on top.
+     *
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @param {Array<Object>} layers - Layers from bottom to top.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGCells(polygons, layers) {
+        const tiles = polygons.map((polygon) => `<path d="${getPathData(polygon)}" />`).join('');
+        const layerGroups = layers
+            .filter((layer) => layer.visible)
+            .map((layer) => {
+                const colors = AppState.getLayerColors(layer.id);
+                const cells = polygons
+                    .filter((polygon) => colors.has(polygon.id))
+                    .map((polygon) => `<path d="${getPathData(polygon)}" fill="${colors.get(polygon.id)}" />`)
+                    .join('');
+                const opacity = layer.opacity < 1 ? ` opacity="${layer.opacity}"` : '';
+                return cells ? `<g data-layer="${Utils.escapeXML(layer.name)}"${opacity}>${cells}</g>` : '';
+            })
+            .join('');
+        const grid = `<g fill="none" stroke="${Config.GRID_STROKE}" stroke-width="1">${tiles}</g>`;
+        return `<g fill="${Config.DEFAULT_FILL}">${tiles}</g>${layerGroups}${grid}`;
+    }
+
+    /**
+     * Icon stamps as filled SVG paths (numerals as text), in the color that
+     * contrasts with each cell.
+     *
+     * @param {Map<string,Object>} icons - Stamps by cell id.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGIcons(icons, polygons) {
+        const cellColors = Renderer.getCellColors(polygons);
+        const shapes = Geometry.getIconPlacements(icons, { polygons })
+            .map(({ cell, stamp, x, y, size }) => {
+                const fill = Utils.getContrastingTextColor(cellColors.get(cell.id));
+                if (stamp.icon === 'number') {
+                    const text = String(stamp.number);
+                    const fontSize = Geometry.getIconFontSize(size, text).toFixed(2);
+                    return `<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" font-size="${fontSize}" fill="${fill}">${text}</text>`;
+                }
+                const commands = Geometry.getIconOutlines(stamp.icon, { x, y }, size)
+                    .map((outline) =>
+                        outline.map((point, index) => `${index ? 'L' : 'M'} ${point.x.toFixed(2)} ${point.y.toFixed(2)}`).join(' ')
+                    )
+                    .join(' Z ');
+                return `<path d="${commands} Z" fill="${fill}" fill-rule="evenodd" />`;
+            })
+            .join('');
+        return shapes
+            ? `<g font-family='${Config.LABEL_FONT_FAMILY}' font-weight="700" text-anchor="middle" dominant-baseline="central">${shapes}</g>`
+            : '';
+    }
+
+    /**
+     * Painted edges as SVG paths, one per edge.
+     *
+     * @param {Map<string,Object>} edges - Edge styles by id.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGEdges(edges, polygons) {
+        const sharedEdges = Geometry.getSharedEdges(polygons);
+        return Array.from(edges)
+            .map(([id, style]) => {
+                const edge = sharedEdges.get(id);
+                if (!edge) return '';
+                const commands = edge.segments
+                    .map(({ start, end }) => `M ${start.x.toFixed(2)} ${start.y.toFixed(2)} L ${end.x.toFixed(2)} ${end.y.toFixed(2)}`)
+                    .join(' ');
+                const pattern = Renderer.getEdgeDashPattern(style);
+                const dash = pattern.length ? ` stroke-dasharray="${pattern.join(' ')}"` : '';
+                return `<path d="${commands}" fill="none" stroke="${style.color}" stroke-width="${style.width}" stroke-linecap="round"${dash} />`;
+            })
+            .join('');
+    }
+
+    /**
+     * Corner markers as SVG circles and polygons.
+     *
+     * @param {Map<string,Object>} markers - Markers by vertex id.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGVertexMarkers(markers, polygons) {
+        const vertices = Geometry.getVertices(polygons);
+        const radius = Config.VERTEX_MARKER_RADIUS;
+        const shapes = Array.from(markers)
+            .map(([id, marker]) => {
+                const vertex = vertices.get(id);
+                if (!vertex) return '';
+                const outline = Geometry.getMarkerOutline(marker.shape, vertex.point, radius);
+                if (!outline.length) {
+                    return `<circle cx="${vertex.point.x.toFixed(2)}" cy="${vertex.point.y.toFixed(2)}" r="${radius}" fill="${marker.color}" />`;
+                }
+                const points = outline.map((point) => `${point.x.toFixed(2)},${point.y.toFixed(2)}`).join(' ');
+                return `<polygon points="${points}" fill="${marker.color}" />`;
+            })
+            .join('');
+        return shapes ? `<g stroke="${Config.VERTEX_MARKER_OUTLINE}" stroke-width="${radius * 0.2}">${shapes}</g>` : '';
+    }
+
+    /**
+     * Tokens as SVG shapes with their labels, bottom of each stack first.
+     *
+     * @param {Array<Object>} tokens - Tokens in stacking order.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGTokens(tokens, polygons) {
+        const shapes = Geometry.getTokenPlacements(tokens, { polygons })
+            .map(({ token, x, y, radius }) => {
+                const outline = Geometry.getTokenOutline(token.shape, { x, y }, radius);
+                const strokeWidth = (radius * 0.12).toFixed(2);
+                const shape = outline.length
+                    ? `<polygon points="${outline.map((point) => `${point.x.toFixed(2)},${point.y.toFixed(2)}`).join(' ')}"`
+                    : `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${radius.toFixed(2)}"`;
+                const body = `${shape} fill="${token.color}" stroke="${Config.TOKEN_OUTLINE}" stroke-width="${strokeWidth}" />`;
+                if (!token.label) return body;
+                const fontSize = Geometry.getTokenFontSize(radius, token.label).toFixed(2);
+                const fill = Utils.getContrastingTextColor(token.color);
+                return `${body}<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" font-size="${fontSize}" font-weight="600" fill="${fill}">${Utils.escapeXML(token.label)}</text>`;
+            })
+            .join('');
+        return shapes ? `<g font-family='${Config.LABEL_FONT_FAMILY}' text-anchor="middle" dominant-baseline="central">${shapes}</g>` : '';
+    }
+
+    /**
+     * Text annotations as SVG text elements, rotated about their centers and
+     * outlined with a halo in the contrasting color like on the canvas.
+     *
+     * @param {Array<Object>} annotations - Annotations in drawing order.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGAnnotations(annotations, polygons) {
+        const texts = Geometry.getAnnotationPlacements(annotations, { polygons })
+            .map(({ annotation, x, y }) => {
+                const position = `x="${x.toFixed(2)}" y="${y.toFixed(2)}"`;
+                const rotate = annotation.rotation ? ` transform="rotate(${annotation.rotation} ${x.toFixed(2)} ${y.toFixed(2)})"` : '';
+                const halo = `stroke="${Utils.getContrastingTextColor(annotation.color)}" stroke-width="${(annotation.fontSize * 0.2).toFixed(2)}"`;
+                return `<text ${position}${rotate} font-size="${annotation.fontSize}" fill="${annotation.color}" ${halo}>${Utils.escapeXML(annotation.text)}</text>`;
+            })
+            .join('');
+        if (!texts) return '';
+        return `<g font-family='${Config.LABEL_FONT_FAMILY}' font-weight="600" text-anchor="middle" dominant-baseline="central" stroke-linejoin="round" paint-order="stroke">${texts}</g>`;
+    }
+
+    /**
+     * Coordinate labels as SVG text, centered on their cells.
+     *
+     * @param {Array<Object>} labels - Labels from Renderer.getCoordinateLabels.
+     * @returns {string} SVG markup.
+     */
+    function renderSVGLabels(labels) {
+        const text = labels
+            .map((label) => {
+                const fill = Utils.getContrastingTextColor(label.color);
+                return `<text x="${label.x.toFixed(2)}" y="${label.y.toFixed(2)}" font-size="${label.fontSize.toFixed(2)}" fill="${fill}">${label.text}</text>`;
+            })
+            .join('');
+        return `<g font-family='${Config.LABEL_FONT_FAMILY}' text-anchor="middle" dominant-baseline="central">${text}</g>`;
+    }
+
     function exportToPDF() {
         const state = AppState.getState();
         if (!state.canvas || !state.polygons.length) {
             alert('Generate a board before exporting.');
             return;
         }
-        Renderer.renderBoard();
-        const dataUrl = state.canvas.toDataURL('image/png');
+        const exportCanvas = Renderer.renderExportCanvas();
+        if (!exportCanvas) return;
+        const dataUrl = exportCanvas.toDataURL('image/png');
         const base = state.currentProjectName || Config.DEFAULT_PROJECT_NAME;
         const win = window.open('', '_blank');
         if (!win) {
@@ -47,10 +47,325 @@ const FileManager = (() => {
             paletteId: state.currentPaletteId,
             isEraserActive: state.isEraserActive,
             autoSaveEnabled: state.autoSaveEnabled,
-            polygons: Utils.clonePolygons(state.polygons)
+            // The bottom layer is stored as `cells`, so single-layer readers still load the base pass.
+            cells: serializeCells(state.polygons, AppState.getLayerColors(state.layers[0].id)),
+            layers: serializeLayers(state.layers, state.polygons),
+            activeLayer: state.layers.findIndex((layer) => layer.id === state.activeLayerId),
+            maskedCells: state.maskedPolygons.map((polygon) => ({ ...polygon.cell })),
+            icons: serializeIcons(state.icons, state.polygons.concat(state.maskedPolygons)),
+            edges: serializeEdges(state.edges, state.polygons.concat(state.maskedPolygons)),
+            vertexMarkers: serializeVertexMarkers(state.vertexMarkers, state.polygons.concat(state.maskedPolygons)),
+            tokens: serializeTokens(state.tokens, state.polygons.concat(state.maskedPolygons)),
+            annotations: serializeAnnotations(state.annotations, state.polygons.concat(state.maskedPolygons))
         };
     }
 
+    /**
+     * Stores text annotations in drawing order. Anchored annotations keep the
+     * logical coordinate of their cell; free ones keep their world position.
+     *
+     * @param {Array<Object>} annotations - Annotations in drawing order.
+     * @param {Array<Object>} polygons - Every cell of the grid.
+     * @returns {Array<{text:string,fontSize:number,color:string,rotation:number,cell:?Object,x:number,y:number}>}
+     *   Annotations.
+     */
+    function serializeAnnotations(annotations, polygons) {
+        const polygonsById = new Map(polygons.map((polygon) => [polygon.id, polygon]));
+        return annotations
+            .filter((annotation) => !annotation.cellId || polygonsById.has(annotation.cellId))
+            .map((annotation) => ({
+                text: annotation.text,
+                fontSize: annotation.fontSize,
+                color: annotation.color,
+                rotation: annotation.rotation,
+                cell: annotation.cellId ? { ...polygonsById.get(annotation.cellId).cell } : null,
+                x: annotation.x,
+                y: annotation.y
+            }));
+    }
+
+    /**
+     * Stores tokens in stacking order by the logical coordinate of their cell.
+     *
+     * @param {Array<Object>} tokens - Tokens in stacking order.
+     * @param {Array<Object>} polygons - Every cell of the grid.
+     * @returns {Array<{cell:Object,shape:string,color:string,label:string}>} Tokens.
+     */
+    function serializeTokens(tokens, polygons) {
+        const polygonsById = new Map(polygons.map((polygon) => [polygon.id, polygon]));
+        return tokens
+            .filter((token) => polygonsById.has(token.cellId))
+            .map((token) => ({
+                cell: { ...polygonsById.get(token.cellId).cell },
+                shape: token.shape,
+                color: token.color,
+                label: token.label
+            }));
+    }
+
+    /**
+     * Stores corner markers by the logical coordinate of a cell and the index
+     * of the corner within it.
+     *
+     * @param {Map<string,Object>} markers - Markers by vertex id.
+     * @param {Array<Object>} polygons - Every cell of the grid.
+     * @returns {Array<{cell:Object,corner:number,shape:string,color:string}>} Corner markers.
+     */
+    function serializeVertexMarkers(markers, polygons) {
+        const polygonsById = new Map(polygons.map((polygon) => [polygon.id, polygon]));
+        const serialized = [];
+        markers.forEach((marker, id) => {
+            const [anchor] = Geometry.getVertexCorners(id, { polygons });
+            if (!anchor) return;
+            const polygon = polygonsById.get(anchor.polygonId);
+            serialized.push({ cell: { ...polygon.cell }, corner: anchor.corner, ...marker });
+        });
+        return serialized;
+    }
+
+    /**
+     * Stores icon stamps by the logical coordinate of their cell.
+     *
+     * @param {Map<string,Object>} icons - Stamps by cell id.
+     * @param {Array<Object>} polygons - Every cell of the grid.
+     * @returns {Array<{cell:Object,icon:string,number:?number}>} Icon stamps.
+     */
+    function serializeIcons(icons, polygons) {
+        const polygonsById = new Map(polygons.map((polygon) => [polygon.id, polygon]));
+        const serialized = [];
+        icons.forEach((stamp, id) => {
+            const polygon = polygonsById.get(id);
+            if (!polygon) return;
+            serialized.push({ cell: { ...polygon.cell }, ...stamp });
+        });
+        return serialized;
+    }
+
+    /**
+     * Stores painted edges by the logical coordinates of the two cells they
+     * separate, so they survive the board being rebuilt on load.
+     *
+     * @param {Map<string,Object>} edges - Edge styles by id.
+     * @param {Array<Object>} polygons - Every cell of the grid.
+     * @returns {Array<{cells:Array<Object>,color:string,width:number,dash:string}>} Painted edges.
+     */
+    function serializeEdges(edges, polygons) {
+        const polygonsById = new Map(polygons.map((polygon) => [polygon.id, polygon]));
+        const serialized = [];
+        edges.forEach((style, id) => {
+            const cells = Geometry.getEdgePolygonIds(id).map((polygonId) => polygonsById.get(polygonId));
+            if (cells.some((cell) => !cell)) return;
+            serialized.push({ cells: cells.map((cell) => ({ ...cell.cell })), ...style });
+        });
+        return serialized;
+    }
+
+    /**
+     * Stores painted cells by logical coordinate only. Geometry is rebuilt from
+     * boardConfig on load, so blank cells and pixel positions are not saved.
+     *
+     * @param {Array<Object>} polygons - Current polygons.
+     * @param {Map<string,string>} colors - Colors of one layer by cell id.
+     * @returns {Array<{cell:Object,color:string}>} Painted cells.
+     */
+    function serializeCells(polygons, colors) {
+        return polygons
+            .filter((polygon) => colors.has(polygon.id))
+            .map((polygon) => ({ cell: { ...polygon.cell }, color: colors.get(polygon.id) }));
+    }
+
+    /**
+     * Stores the layer stack from bottom to top. Every layer but the bottom
+     * one carries its painted cells; the bottom layer's are the top-level `cells`.
+     *
+     * @param {Array<Object>} layers - Layers from AppState.
+     * @param {Array<Object>} polygons - Current polygons.
+     * @returns {Array<{name:string,visible:boolean,locked:boolean,opacity:number,cells:?Array<Object>}>} Layers.
+     */
+    function serializeLayers(layers, polygons) {
+        return layers.map((layer, index) => ({
+            name: layer.name,
+            visible: layer.visible,
+            locked: layer.locked,
+            opacity: layer.opacity,
+            cells: index ? serializeCells(polygons, AppState.getLayerColors(layer.id)) : null
+        }));
+    }
+
+    /**
+     * Regenerates the board described by a saved payload and reapplies colors.
+     * Legacy (1.0) payloads carry pixel polygons; their colors map over by id.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Object} boardConfig - Board configuration to generate.
+     * @returns {Array<Object>} Rebuilt polygons.
+     */
+    function rebuildPolygons(statePayload, boardConfig) {
+        if (!Array.isArray(statePayload.cells)) {
+            const colorMap = new Map((statePayload.polygons || []).map((polygon) => [polygon.id, polygon.color]));
+            return Geometry.generateGrid(boardConfig, colorMap);
+        }
+        const polygons = Geometry.generateGrid(boardConfig, null);
+        const polygonsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon]));
+        statePayload.cells.forEach((entry) => {
+            const polygon = polygonsByCell.get(Geometry.getCellKey(entry.cell));
+            if (polygon && entry.color) {
+                polygon.color = entry.color;
+            }
+        });
+        return polygons;
+    }
+
+    /**
+     * Maps saved masked cells (logical coordinates) onto the rebuilt grid.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Rebuilt polygons.
+     * @returns {Array<string>} Ids of cells to keep off the board.
+     */
+    function resolveMaskedIds(statePayload, polygons) {
+        if (!Array.isArray(statePayload.maskedCells)) return [];
+        const masked = new Set(statePayload.maskedCells.map((cell) => Geometry.getCellKey(cell)));
+        return polygons.filter((polygon) => masked.has(Geometry.getCellKey(polygon.cell))).map((polygon) => polygon.id);
+    }
+
+    /**
+     * Rebuilds the layer stack of a saved payload. The bottom layer takes the
+     * top-level painted cells, so files saved before layers existed load as a
+     * single base layer. Legacy (1.0) payloads save every polygon, where the
+     * blank tile color meant unpainted.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Rebuilt polygons.
+     * @returns {Array<Object>} Layers for AppState.setLayers, bottom to top.
+     */
+    function resolveLayers(statePayload, polygons) {
+        const idsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon.id]));
+        const resolveCells = (cells) =>
+            (cells || [])
+                .map(({ cell, color }) => [cell && idsByCell.get(Geometry.getCellKey(cell)), color])
+                .filter(([id, color]) => id && color);
+        const blank = Config.DEFAULT_TILE_COLOR.toLowerCase();
+        const baseColors = Array.isArray(statePayload.cells)
+            ? resolveCells(statePayload.cells)
+            : polygons
+                  .filter((polygon) => polygon.color && polygon.color.toLowerCase() !== blank)
+                  .map((polygon) => [polygon.id, polygon.color]);
+        if (!Array.isArray(statePayload.layers) || !statePayload.layers.length) {
+            return [{ name: Config.DEFAULT_LAYER_NAME, colors: baseColors }];
+        }
+        return statePayload.layers.map((layer, index) => ({
+            name: layer.name,
+            visible: layer.visible,
+            locked: layer.locked,
+            opacity: layer.opacity,
+            colors: index ? resolveCells(layer.cells) : baseColors
+        }));
+    }
+
+    /**
+     * Maps saved icon stamps onto the rebuilt grid.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Rebuilt polygons.
+     * @returns {Array<Array>} `[cellId, stamp]` pairs.
+     */
+    function resolveIcons(statePayload, polygons) {
+        if (!Array.isArray(statePayload.icons)) return [];
+        const idsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon.id]));
+        return statePayload.icons
+            .map(({ cell, icon, number }) => {
+                const cellId = cell && idsByCell.get(Geometry.getCellKey(cell));
+                if (!cellId || !Geometry.ICON_NAMES.includes(icon)) return null;
+                return [cellId, { icon, number: icon === 'number' ? Number(number) || 0 : null }];
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Maps saved edges (pairs of logical coordinates) onto the rebuilt grid.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Rebuilt polygons.
+     * @returns {Array<Array>} `[edgeId, style]` pairs.
+     */
+    function resolveEdges(statePayload, polygons) {
+        if (!Array.isArray(statePayload.edges)) return [];
+        const idsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon.id]));
+        return statePayload.edges
+            .map(({ cells, color, width, dash }) => {
+                const ids = (cells || []).map((cell) => idsByCell.get(Geometry.getCellKey(cell)));
+                if (ids.length !== 2 || ids.some((id) => !id)) return null;
+                return [Geometry.getEdgeId(ids[0], ids[1]), { color, width, dash }];
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Maps saved corner markers onto the rebuilt board's vertices.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Every cell of the rebuilt grid, removed ones included.
+     * @returns {Array<Array>} `[vertexId, marker]` pairs.
+     */
+    function resolveVertexMarkers(statePayload, polygons) {
+        if (!Array.isArray(statePayload.vertexMarkers)) return [];
+        const idsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon.id]));
+        return statePayload.vertexMarkers
+            .map(({ cell, corner, shape, color }) => {
+                const polygonId = cell && idsByCell.get(Geometry.getCellKey(cell));
+                const vertexId = polygonId && Geometry.resolveVertexId(polygonId, corner, { polygons });
+                return vertexId ? [vertexId, { shape, color }] : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Maps saved tokens onto the rebuilt grid.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Rebuilt polygons.
+     * @returns {Array<Object>} Tokens without ids, in stacking order.
+     */
+    function resolveTokens(statePayload, polygons) {
+        if (!Array.isArray(statePayload.tokens)) return [];
+        const idsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon.id]));
+        return statePayload.tokens
+            .map(({ cell, shape, color, label }) => {
+                const cellId = cell && idsByCell.get(Geometry.getCellKey(cell));
+                return cellId ? { cellId, shape, color, label: label || '' } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Maps saved annotations onto the rebuilt grid. Anchored annotations whose
+     * cell no longer exists are dropped.
+     *
+     * @param {Object} statePayload - Saved appState object.
+     * @param {Array<Object>} polygons - Rebuilt polygons.
+     * @returns {Array<Object>} Annotations without ids, in drawing order.
+     */
+    function resolveAnnotations(statePayload, polygons) {
+        if (!Array.isArray(statePayload.annotations)) return [];
+        const idsByCell = new Map(polygons.map((polygon) => [Geometry.getCellKey(polygon.cell), polygon.id]));
+        return statePayload.annotations
+            .map(({ text, fontSize, color, rotation, cell, x, y }) => {
+                const cellId = cell ? idsByCell.get(Geometry.getCellKey(cell)) : null;
+                if (cell && !cellId) return null;
+                return {
+                    text: String(text ?? ''),
+                    fontSize: Number(fontSize) || Config.MIN_ANNOTATION_FONT_SIZE,
+                    color,
+                    rotation: Number(rotation) || 0,
+                    cellId,
+                    x: Number(x) || 0,
+                    y: Number(y) || 0
+                };
+            })
+            .filter(Boolean);
+    }
+
     function autoSaveToLocalStorage(force = false) {
         const state = AppState.getState();
         if (!state.autoSaveEnabled) return;
@@ -180,11 +495,11 @@ const FileManager = (() => {
 
     function validateProjectFile(data) {
         if (!data || typeof data !== 'object') return false;
-        if (data.version !== Config.VERSION) return false;
         if (!data.appState || typeof data.appState !== 'object') return false;
-        if (!Array.isArray(data.appState.polygons)) return false;
         if (!data.appState.boardConfig) return false;
-        return true;
+        if (data.version === Config.VERSION) return Array.isArray(data.appState.cells);
+        if (Config.LEGACY_VERSIONS.includes(data.version)) return Array.isArray(data.appState.polygons);
+        return false;
     }
 
     function restoreState(payload, options = {}) {
@@ -204,11 +519,20 @@ const FileManager = (() => {
             }
             setupAutoSave();
         }
-        AppState.setPolygons(Utils.clonePolygons(statePayload.polygons || []));
+        const polygons = rebuildPolygons(statePayload, AppState.getState().boardConfig);
+        AppState.setPolygons(polygons, resolveMaskedIds(statePayload, polygons));
+        AppState.setLayers(resolveLayers(statePayload, polygons), statePayload.activeLayer || 0);
+        AppState.setIcons(resolveIcons(statePayload, polygons));
+        AppState.setEdges(resolveEdges(statePayload, polygons));
+        AppState.setVertexMarkers(resolveVertexMarkers(statePayload, polygons));
+        AppState.setTokens(resolveTokens(statePayload, polygons));
+        AppState.setAnnotations(resolveAnnotations(statePayload, polygons));
         AppState.setProjectName(payload.projectName || Config.DEFAULT_PROJECT_NAME);
 
         UI?.updateBoardControls(AppState.getState().boardConfig);
-        Renderer.renderBoard();
+        UI?.applyToolAvailability(AppState.getState().boardConfig);
+        UI?.renderLayers(AppState.getState().layers, AppState.getState().activeLayerId);
+        Renderer.fitToBoard();
         UI?.updateCanvasMessage(AppState.getState().polygons.length);
 
         AppState.resetHistory();
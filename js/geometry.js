@@ -1,31 +1,112 @@
 /**
  * PROTOGAMES GEOMETRY
  * --------------------------------------------------------------
- * Aggregates grid builders from geometry submodules (hex, triangle, square)
- * and exposes the public API consumed by the renderer/interaction layers.
+ * Aggregates grid builders from geometry submodules (hex, triangle, square/diamond,
+ * semi-regular, areas)
+ * plus the topology, edge, vertex, token, annotation, icon, terrain, distribution, shape, symmetry, clipboard and label helpers, and exposes the public API consumed by the
+ * renderer/interaction layers.
  */
 (function (global) {
     const helpers = global.GeometryHelpers;
     const hex = global.GeometryHex;
     const tri = global.GeometryTriangle;
     const square = global.GeometrySquare;
+    const semiRegular = global.GeometrySemiRegular;
+    const areas = global.GeometryAreas;
+    const topology = global.GeometryTopology;
+    const edges = global.GeometryEdges;
+    const vertices = global.GeometryVertices;
+    const tokens = global.GeometryTokens;
+    const annotations = global.GeometryAnnotations;
+    const icons = global.GeometryIcons;
+    const terrain = global.GeometryTerrain;
+    const distribution = global.GeometryDistribution;
+    const shapes = global.GeometryShapes;
+    const symmetry = global.GeometrySymmetry;
+    const clipboard = global.GeometryClipboard;
+    const labels = global.GeometryLabels;
 
-    function generateGrid(config, canvas, colorMap) {
+    /**
+     * Builds polygons in world space (see Config.CELL_SIZE); the renderer's
+     * viewport decides how they map onto the screen.
+     */
+    function generateGrid(config, colorMap) {
         switch (config.gridType) {
             case 'triangle':
-                return tri.buildTriangleGrid(config, canvas, colorMap);
+                return tri.buildTriangleGrid(config, colorMap);
             case 'square':
-                return square.buildSquareGrid(config, canvas, colorMap);
+                return square.buildSquareGrid(config, colorMap);
+            case 'diamond':
+                return square.buildDiamondGrid(config, colorMap);
+            case 'truncated-square':
+                return semiRegular.buildTruncatedSquareGrid(config, colorMap);
+            case 'rhombille':
+                return semiRegular.buildRhombilleGrid(config, colorMap);
+            case 'trihexagonal':
+                return semiRegular.buildTrihexagonalGrid(config, colorMap);
+            case 'areas':
+                return areas.buildAreaGrid(config, colorMap);
             case 'hexagon':
             default:
-                return hex.buildHexGrid(config, canvas, colorMap);
+                return hex.buildHexGrid(config, colorMap);
         }
     }
 
     const Geometry = {
         generateGrid,
+        getCellKey: helpers.getCellKey,
         isPointInPolygon: helpers.isPointInPolygon,
-        findPolygonAtPoint: helpers.findPolygonAtPoint
+        getPolygonsBounds: helpers.getPolygonsBounds,
+        findPolygonAtPoint: helpers.findPolygonAtPoint,
+        findPolygonsAlongSegment: helpers.findPolygonsAlongSegment,
+        findPolygonsInRect: helpers.findPolygonsInRect,
+        getAdjacencyGraph: topology.getAdjacencyGraph,
+        getNeighbors: topology.getNeighbors,
+        getConnectedRegion: topology.getConnectedRegion,
+        getCellsWithinSteps: topology.getCellsWithinSteps,
+        EDGE_DASHES: edges.EDGE_DASHES,
+        getEdgeId: edges.getEdgeId,
+        getEdgePolygonIds: edges.getEdgePolygonIds,
+        getSharedEdges: edges.getSharedEdges,
+        findNearestEdge: edges.findNearestEdge,
+        findEdgesAlongSegment: edges.findEdgesAlongSegment,
+        MARKER_SHAPES: vertices.MARKER_SHAPES,
+        getVertexCorners: vertices.getVertexCorners,
+        getVertices: vertices.getVertices,
+        resolveVertexId: vertices.resolveVertexId,
+        findNearestVertex: vertices.findNearestVertex,
+        getMarkerOutline: vertices.getMarkerOutline,
+        TOKEN_SHAPES: tokens.TOKEN_SHAPES,
+        getTokenPlacements: tokens.getTokenPlacements,
+        findTokenAtPoint: tokens.findTokenAtPoint,
+        getTokenOutline: tokens.getTokenOutline,
+        getTokenFontSize: tokens.getTokenFontSize,
+        getAnnotationPlacements: annotations.getAnnotationPlacements,
+        findAnnotationAtPoint: annotations.findAnnotationAtPoint,
+        ICON_NAMES: icons.ICON_NAMES,
+        getIconPlacements: icons.getIconPlacements,
+        getIconOutlines: icons.getIconOutlines,
+        getIconFontSize: icons.getIconFontSize,
+        getTerrainElevations: terrain.getTerrainElevations,
+        getTerrainBands: terrain.getTerrainBands,
+        getTerrainColors: terrain.getTerrainColors,
+        getBorderCellIds: distribution.getBorderCellIds,
+        distributeTiles: distribution.distributeTiles,
+        hexDistance: shapes.hexDistance,
+        getLineCells: shapes.getLineCells,
+        getRectangleCells: shapes.getRectangleCells,
+        getHexRangeCells: shapes.getHexRangeCells,
+        DISTANCE_METRICS: shapes.DISTANCE_METRICS,
+        getCellDistance: shapes.getCellDistance,
+        getCellsInRange: shapes.getCellsInRange,
+        isSymmetryModeSupported: symmetry.isSymmetryModeSupported,
+        getSymmetricCells: symmetry.getSymmetricCells,
+        getSymmetryGuides: symmetry.getSymmetryGuides,
+        getPlacementKey: clipboard.getPlacementKey,
+        captureCells: clipboard.captureCells,
+        placeCells: clipboard.placeCells,
+        COORDINATE_NOTATIONS: labels.NOTATIONS,
+        getCoordinateLabels: labels.getCoordinateLabels
     };
 
     global.Geometry = Geometry;
@@ -0,0 +1,72 @@
+/**
+ * Text annotation geometry: where labels such as region names and design
+ * notes sit and which label is under the pointer. Annotations are either
+ * anchored to a cell (centered on it) or free-floating at a world position.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    // Average glyph width as a fraction of the font size, used to size hit boxes without a canvas.
+    const GLYPH_WIDTH_RATIO = 0.6;
+    // Extra room around the text that still counts as a hit, as a fraction of the font size.
+    const HIT_PADDING_RATIO = 0.25;
+
+    /**
+     * Positions and approximate sizes of every visible annotation, in
+     * drawing order. Annotations anchored to a cell that is not on the board
+     * are skipped.
+     *
+     * @param {Array<Object>} annotations - Annotations in drawing order.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<{annotation:Object,x:number,y:number,width:number,height:number}>} Placements.
+     */
+    function getAnnotationPlacements(annotations, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const { polygonsById } = topology.getAdjacencyGraph(polygons);
+        const placements = [];
+        annotations.forEach((annotation) => {
+            const cell = annotation.cellId ? polygonsById.get(annotation.cellId) : null;
+            if (annotation.cellId && !cell) return;
+            const { x, y } = cell ? cell.center : annotation;
+            placements.push({
+                annotation,
+                x,
+                y,
+                width: Math.max(1, annotation.text.length) * annotation.fontSize * GLYPH_WIDTH_RATIO,
+                height: annotation.fontSize
+            });
+        });
+        return placements;
+    }
+
+    /**
+     * Topmost annotation whose (rotated) text box contains a point.
+     *
+     * @param {{x:number,y:number}} point - World-space point.
+     * @param {Array<Object>} placements - Result of getAnnotationPlacements.
+     * @returns {Object|null} Placement, or null when the point misses every annotation.
+     */
+    function findAnnotationAtPoint(point, placements) {
+        for (let index = placements.length - 1; index >= 0; index--) {
+            const placement = placements[index];
+            const angle = (-placement.annotation.rotation * Math.PI) / 180;
+            const dx = point.x - placement.x;
+            const dy = point.y - placement.y;
+            // Undo the rotation so the box can be tested axis-aligned.
+            const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+            const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+            const padding = placement.height * HIT_PADDING_RATIO;
+            if (Math.abs(localX) <= placement.width / 2 + padding && Math.abs(localY) <= placement.height / 2 + padding) {
+                return placement;
+            }
+        }
+        return null;
+    }
+
+    global.GeometryAnnotations = {
+        getAnnotationPlacements,
+        findAnnotationAtPoint
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,165 @@
+/**
+ * Irregular "areas" grid for area-movement games: seeded points inside the
+ * board outline, Lloyd-relaxed into an evenly spread Voronoi diagram whose
+ * cells are clipped to the outline. The same seed and region count always
+ * produce the same map.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const { createPolygon, createBoardMetrics, normalizeBoardDimensions, shouldIncludePolygon } = helpers;
+
+    // Lloyd passes: enough to even out region sizes while keeping them irregular.
+    const RELAXATION_ITERATIONS = 3;
+    // Circle and ellipse outlines are approximated by a polygon with this many sides.
+    const CIRCLE_SEGMENTS = 64;
+    // Vertices closer than this (world units) are merged after clipping.
+    const MERGE_DISTANCE = 1e-6;
+    const MAX_SAMPLE_ATTEMPTS = 1000;
+
+    /**
+     * Returns the board outline as a convex polygon in clockwise screen order.
+     * Ring and cross outlines are not convex and are not offered for area maps.
+     */
+    function getOutlinePolygon(boardMetrics) {
+        if (boardMetrics.outline) return boardMetrics.outline;
+        const { circle } = boardMetrics;
+        const round = circle ? { cx: circle.cx, cy: circle.cy, rx: circle.radius, ry: circle.radius } : boardMetrics.ellipse;
+        if (round) {
+            const { cx, cy, rx, ry } = round;
+            return Array.from({ length: CIRCLE_SEGMENTS }, (_, index) => {
+                const angle = (index / CIRCLE_SEGMENTS) * Math.PI * 2;
+                return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+            });
+        }
+        const { x, y, width, height } = boardMetrics.bounds;
+        return [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height }
+        ];
+    }
+
+    function sampleSites(count, boardMetrics, random) {
+        const { x, y, width, height } = boardMetrics.bounds;
+        const sites = [];
+        for (let attempt = 0; sites.length < count && attempt < count * MAX_SAMPLE_ATTEMPTS; attempt++) {
+            const point = { x: x + random() * width, y: y + random() * height };
+            if (shouldIncludePolygon(point, boardMetrics)) {
+                sites.push(point);
+            }
+        }
+        return sites;
+    }
+
+    /**
+     * Keeps the part of a convex polygon closer to `site` than to `other`
+     * (Sutherland–Hodgman against their perpendicular bisector).
+     */
+    function clipToBisector(vertices, site, other) {
+        const normal = { x: other.x - site.x, y: other.y - site.y };
+        const mid = { x: (site.x + other.x) / 2, y: (site.y + other.y) / 2 };
+        const side = (point) => (point.x - mid.x) * normal.x + (point.y - mid.y) * normal.y;
+
+        const clipped = [];
+        vertices.forEach((current, index) => {
+            const next = vertices[(index + 1) % vertices.length];
+            const currentSide = side(current);
+            const nextSide = side(next);
+            if (currentSide <= 0) {
+                clipped.push(current);
+            }
+            if ((currentSide < 0 && nextSide > 0) || (currentSide > 0 && nextSide < 0)) {
+                const t = currentSide / (currentSide - nextSide);
+                clipped.push({ x: current.x + (next.x - current.x) * t, y: current.y + (next.y - current.y) * t });
+            }
+        });
+        return clipped;
+    }
+
+    function mergeCloseVertices(vertices) {
+        return vertices.filter((vertex, index) => {
+            const next = vertices[(index + 1) % vertices.length];
+            return vertices.length < 2 || Math.hypot(vertex.x - next.x, vertex.y - next.y) > MERGE_DISTANCE;
+        });
+    }
+
+    function computeVoronoiCells(sites, outline) {
+        return sites.map((site, index) => {
+            let cell = outline;
+            sites.forEach((other, otherIndex) => {
+                if (otherIndex === index || cell.length < 3) return;
+                cell = clipToBisector(cell, site, other);
+            });
+            return mergeCloseVertices(cell);
+        });
+    }
+
+    /**
+     * Area-weighted centroid of a simple polygon (falls back to the vertex
+     * average for degenerate shapes).
+     */
+    function getPolygonCentroid(vertices) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        vertices.forEach((current, index) => {
+            const next = vertices[(index + 1) % vertices.length];
+            const crossProduct = current.x * next.y - next.x * current.y;
+            area += crossProduct;
+            cx += (current.x + next.x) * crossProduct;
+            cy += (current.y + next.y) * crossProduct;
+        });
+        if (Math.abs(area) < MERGE_DISTANCE) {
+            return {
+                x: vertices.reduce((sum, vertex) => sum + vertex.x, 0) / vertices.length,
+                y: vertices.reduce((sum, vertex) => sum + vertex.y, 0) / vertices.length
+            };
+        }
+        return { x: cx / (3 * area), y: cy / (3 * area) };
+    }
+
+    /**
+     * Builds the seeded Voronoi area map. Uses `config.seed` and
+     * `config.regionCount`; the board spans cols x rows cells of
+     * Config.CELL_SIZE like the regular grids.
+     */
+    function buildAreaGrid(config, colorMap) {
+        const { cols, rows } = normalizeBoardDimensions(config);
+        const size = Config.CELL_SIZE;
+        const boardMetrics = createBoardMetrics(0, 0, cols * size, rows * size, config);
+        const outline = getOutlinePolygon(boardMetrics);
+        // Loaded projects skip the form's limits, so the count is clamped here too.
+        const requested = Math.floor(config.regionCount) || Config.DEFAULT_BOARD_CONFIG.regionCount;
+        const regionCount = Math.min(Math.max(Config.MIN_REGION_COUNT, requested), Config.MAX_REGION_COUNT);
+        const random = Utils.createSeededRandom(config.seed ?? Config.DEFAULT_BOARD_CONFIG.seed);
+
+        let sites = sampleSites(regionCount, boardMetrics, random);
+        let cells = computeVoronoiCells(sites, outline);
+        for (let iteration = 0; iteration < RELAXATION_ITERATIONS; iteration++) {
+            sites = cells.map((vertices, index) => (vertices.length >= 3 ? getPolygonCentroid(vertices) : sites[index]));
+            cells = computeVoronoiCells(sites, outline);
+        }
+
+        const polygons = [];
+        cells.forEach((vertices, index) => {
+            if (vertices.length < 3) return;
+            const id = `area_${index}`;
+            polygons.push(
+                createPolygon({
+                    id,
+                    type: 'area',
+                    cell: { index },
+                    center: getPolygonCentroid(vertices),
+                    vertices,
+                    color: colorMap?.get(id)
+                })
+            );
+        });
+        return polygons;
+    }
+
+    global.GeometryAreas = {
+        buildAreaGrid
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,118 @@
+/**
+ * Copy/paste geometry for the selection tool. Cells are captured as world
+ * offsets from an anchor cell and placed again by translating those offsets
+ * onto a target cell of the same shape and orientation, which keeps pasted
+ * content on real cells across hex row offsets and alternating triangles.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Cells can only be translated onto cells with the same key: the polygon
+     * type plus, for triangles, whether it points up and, for semi-regular
+     * tilings, which tile of the lattice position it is.
+     *
+     * @param {Object} polygon - Cell to classify.
+     * @returns {string} Placement key.
+     */
+    function getPlacementKey(polygon) {
+        const up = polygon.cell && 'up' in polygon.cell ? `:${polygon.cell.up ? 'up' : 'down'}` : '';
+        const tile = polygon.cell && 'tile' in polygon.cell ? `:${polygon.cell.tile}` : '';
+        return `${polygon.type}${up}${tile}`;
+    }
+
+    /**
+     * Captures cells and their colors relative to an anchor cell. By default
+     * the anchor is the cell nearest the middle of the group, so pasted
+     * content centers on the pointer.
+     *
+     * @param {Array<string>} cellIds - Cells to capture.
+     * @param {Object} [options]
+     * @param {string} [options.anchorId] - Explicit anchor (e.g., the cell grabbed for a move).
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @param {Map<string,string>} [options.colors] - Colors by cell id (defaults to the cells' own colors);
+     *   cells without one are captured with a null color, which erases on paste.
+     * @returns {{anchorId:string, anchorKey:string, entries:Array<Object>}|null} Captured cells, or null when empty.
+     */
+    function captureCells(cellIds, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const { polygonsById } = topology.getAdjacencyGraph(polygons);
+        const cells = cellIds.map((id) => polygonsById.get(id)).filter(Boolean);
+        if (!cells.length) return null;
+
+        const centroid = cells.reduce(
+            (acc, cell) => ({ x: acc.x + cell.center.x / cells.length, y: acc.y + cell.center.y / cells.length }),
+            { x: 0, y: 0 }
+        );
+        const distanceToCentroid = (cell) => Math.hypot(cell.center.x - centroid.x, cell.center.y - centroid.y);
+        const anchor =
+            polygonsById.get(options.anchorId) ||
+            cells.reduce((best, cell) => (distanceToCentroid(cell) < distanceToCentroid(best) ? cell : best));
+
+        return {
+            anchorId: anchor.id,
+            anchorKey: getPlacementKey(anchor),
+            entries: cells.map((cell) => ({
+                id: cell.id,
+                dx: cell.center.x - anchor.center.x,
+                dy: cell.center.y - anchor.center.y,
+                key: getPlacementKey(cell),
+                color: options.colors ? options.colors.get(cell.id) ?? null : cell.color
+            }))
+        };
+    }
+
+    /**
+     * Snaps a target to a cell that can receive the anchor: the target itself
+     * when it matches, otherwise its closest matching neighbor.
+     */
+    function resolveAnchor(captured, target, polygons, point) {
+        if (getPlacementKey(target) === captured.anchorKey) return target;
+        const reference = point || target.center;
+        const candidates = topology
+            .getNeighbors(target.id, { diagonals: true, polygons })
+            .filter((neighbor) => getPlacementKey(neighbor) === captured.anchorKey);
+        if (!candidates.length) return null;
+        const distance = (cell) => Math.hypot(cell.center.x - reference.x, cell.center.y - reference.y);
+        return candidates.reduce((best, cell) => (distance(cell) < distance(best) ? cell : best));
+    }
+
+    /**
+     * Places captured cells with their anchor on (or snapped next to) a target
+     * cell. Entries that would land off the board are dropped.
+     *
+     * @param {Object} captured - Result of captureCells.
+     * @param {string} targetId - Cell under the pointer.
+     * @param {Object} [options]
+     * @param {{x:number,y:number}} [options.point] - Pointer position, used to pick the closest snap cell.
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<{id:string, sourceId:string, color:?string}>} Destination cells and colors.
+     */
+    function placeCells(captured, targetId, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const { polygonsById } = topology.getAdjacencyGraph(polygons);
+        const target = polygonsById.get(targetId);
+        if (!captured || !target) return [];
+        const anchor = resolveAnchor(captured, target, polygons, options.point);
+        if (!anchor) return [];
+
+        // Translated centers must land on a cell center, not just inside a cell.
+        const tolerance = Config.CELL_SIZE * 0.1;
+        const placed = [];
+        captured.entries.forEach((entry) => {
+            const point = { x: anchor.center.x + entry.dx, y: anchor.center.y + entry.dy };
+            const destination = helpers.findPolygonAtPoint(point, polygons);
+            if (!destination || getPlacementKey(destination) !== entry.key) return;
+            if (Math.hypot(destination.center.x - point.x, destination.center.y - point.y) > tolerance) return;
+            placed.push({ id: destination.id, sourceId: entry.id, color: entry.color });
+        });
+        return placed;
+    }
+
+    global.GeometryClipboard = {
+        getPlacementKey,
+        captureCells,
+        placeCells
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,91 @@
+/**
+ * Constrained random distribution: shuffles exact numbers of tiles (e.g.
+ * the 19 land hexes of a Catan-style board) over a set of cells with a
+ * seed. Tiles marked as spread never end up next to a cell of their own
+ * color; failed shuffles are retried until the constraints hold.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    // Shuffles tried before a constrained distribution is reported as impossible.
+    const MAX_ATTEMPTS = 100;
+
+    function shuffle(items, random) {
+        for (let index = items.length - 1; index > 0; index--) {
+            const swap = Math.floor(random() * (index + 1));
+            [items[index], items[swap]] = [items[swap], items[index]];
+        }
+        return items;
+    }
+
+    /**
+     * Cells with a side no other cell shares: the ring along the board's
+     * outline (and around removed cells).
+     *
+     * @param {Array<Object>} [polygons] - Polygon list (defaults to the current board).
+     * @returns {Set<string>} Border cell ids.
+     */
+    function getBorderCellIds(polygons = helpers.getCurrentPolygons()) {
+        const ids = new Set();
+        topology.getAdjacencyGraph(polygons).edges.forEach((edge) => {
+            if (edge.polygonIds.length === 1) ids.add(edge.polygonIds[0]);
+        });
+        return ids;
+    }
+
+    /**
+     * Randomly assigns exact tile counts to cells. When there are more cells
+     * than tiles, the cells left over are not part of the result.
+     *
+     * @param {Array<string>} cellIds - Cells to fill.
+     * @param {Array<{color:string,count:number,spread:boolean}>} tiles - Tiles to place; `spread`
+     *   keeps two cells of that color from touching.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @param {number} [options.seed] - Integer seed.
+     * @param {Map<string,string>} [options.colors] - Colors of cells outside `cellIds`, checked by spread tiles.
+     * @returns {Map<string,string>|null} Colors by cell id, or null when the tiles outnumber the
+     *   cells or no shuffle satisfies the spread constraints.
+     */
+    function distributeTiles(cellIds, tiles, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const colors = options.colors || new Map();
+        const total = tiles.reduce((sum, tile) => sum + tile.count, 0);
+        if (total > cellIds.length) return null;
+
+        const { edgeNeighbors } = topology.getAdjacencyGraph(polygons);
+        const random = Utils.createSeededRandom(options.seed);
+        // Spread tiles go first, the most numerous ahead, while there is still room to keep them apart.
+        const ordered = tiles
+            .filter((tile) => tile.spread)
+            .sort((a, b) => b.count - a.count)
+            .concat(tiles.filter((tile) => !tile.spread));
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const assigned = new Map();
+            const free = new Set(shuffle(cellIds.slice(), random));
+            const colorOf = (id) => assigned.get(id) ?? colors.get(id);
+            const placedAll = ordered.every((tile) => {
+                let remaining = tile.count;
+                for (const id of free) {
+                    if (!remaining) break;
+                    if (tile.spread && (edgeNeighbors.get(id) || []).some((other) => colorOf(other) === tile.color)) {
+                        continue;
+                    }
+                    assigned.set(id, tile.color);
+                    free.delete(id);
+                    remaining--;
+                }
+                return remaining === 0;
+            });
+            if (placedAll) return assigned;
+        }
+        return null;
+    }
+
+    global.GeometryDistribution = {
+        getBorderCellIds,
+        distributeTiles
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,148 @@
+/**
+ * Edge layer geometry for walls, rivers and fences. An edge is the border
+ * shared by two neighboring cells and is identified by their sorted ids, so
+ * painted edges follow the cells through zoom, save/load and regeneration
+ * of the same lattice (e.g. a grown board).
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Line patterns an edge can be drawn with.
+     */
+    const EDGE_DASHES = ['solid', 'dashed', 'dotted'];
+    // Drags are sampled at this fraction of a cell so quick strokes do not skip edges.
+    const STROKE_SAMPLE_RATIO = 0.25;
+    // Drags only pick edges within 45° of their direction (|cos| above this).
+    const MIN_STROKE_ALIGNMENT = Math.SQRT1_2;
+    const indexCache = new WeakMap();
+
+    /**
+     * Id of the edge between two cells (independent of their order).
+     *
+     * @param {string} idA - One cell id.
+     * @param {string} idB - The other cell id.
+     * @returns {string} Edge id.
+     */
+    function getEdgeId(idA, idB) {
+        return idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+    }
+
+    /**
+     * The two cell ids an edge separates.
+     *
+     * @param {string} edgeId - Edge id from getEdgeId.
+     * @returns {Array<string>} Cell ids in sorted order.
+     */
+    function getEdgePolygonIds(edgeId) {
+        return edgeId.split('|');
+    }
+
+    /**
+     * Groups the topology's segments by the pair of cells they separate
+     * (cached per polygon list). Cells meeting along several segments, as
+     * irregular areas can, get a single edge holding every segment.
+     */
+    function getEdgeIndex(polygons) {
+        if (indexCache.has(polygons)) {
+            return indexCache.get(polygons);
+        }
+        const edges = new Map();
+        const edgeIdsBySegment = new Map();
+        topology.getAdjacencyGraph(polygons).edges.forEach((segment) => {
+            if (segment.polygonIds.length !== 2) return;
+            const id = getEdgeId(...segment.polygonIds);
+            if (!edges.has(id)) {
+                edges.set(id, { id, polygonIds: getEdgePolygonIds(id), segments: [] });
+            }
+            edges.get(id).segments.push({ start: segment.start, end: segment.end });
+            edgeIdsBySegment.set(segment.key, id);
+        });
+        const index = { edges, edgeIdsBySegment };
+        indexCache.set(polygons, index);
+        return index;
+    }
+
+    /**
+     * Every edge shared by two cells of a polygon list. Borders on the
+     * outside of the board (or next to a removed cell) are not edges.
+     *
+     * @param {Array<Object>} [polygons] - Polygon list (defaults to the current board).
+     * @returns {Map<string,{id:string,polygonIds:Array<string>,segments:Array<Object>}>} Edges by id.
+     */
+    function getSharedEdges(polygons = helpers.getCurrentPolygons()) {
+        return getEdgeIndex(polygons).edges;
+    }
+
+    /**
+     * Snaps a point to the closest border of the cell under it. Returns null
+     * when the point is off the board or closest to the board's outline.
+     *
+     * @param {{x:number,y:number}} point - World-space point.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Object|null} Edge from getSharedEdges, or null.
+     */
+    function findNearestEdge(point, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const polygon = helpers.findPolygonAtPoint(point, polygons);
+        if (!polygon) return null;
+
+        const { vertices } = polygon;
+        let nearestKey = null;
+        let smallestDistance = Infinity;
+        vertices.forEach((vertex, index) => {
+            const next = vertices[(index + 1) % vertices.length];
+            const distance = helpers.getDistanceToSegment(point, vertex, next);
+            if (distance < smallestDistance) {
+                smallestDistance = distance;
+                nearestKey = topology.getEdgeKey(topology.getVertexKey(vertex), topology.getVertexKey(next));
+            }
+        });
+        const { edges, edgeIdsBySegment } = getEdgeIndex(polygons);
+        return edges.get(edgeIdsBySegment.get(nearestKey)) || null;
+    }
+
+    function getAlignment(edge, dx, dy, length) {
+        const { start, end } = edge.segments[0];
+        const edgeLength = Math.hypot(end.x - start.x, end.y - start.y);
+        if (!edgeLength) return 0;
+        return Math.abs((end.x - start.x) * dx + (end.y - start.y) * dy) / (edgeLength * length);
+    }
+
+    /**
+     * Edges snapped to along a pointer drag, in order and without repeats.
+     * Only edges running roughly along the drag are picked, so a stroke
+     * along a wall skips the borders it brushes past at each corner.
+     *
+     * @param {{x:number,y:number}} start - Segment start (world space).
+     * @param {{x:number,y:number}} end - Segment end (world space).
+     * @param {Object} [options] - Same options as findNearestEdge.
+     * @returns {Array<Object>} Edges along the segment.
+     */
+    function findEdgesAlongSegment(start, end, options = {}) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy);
+        const samples = Math.max(1, Math.ceil(length / (Config.CELL_SIZE * STROKE_SAMPLE_RATIO)));
+        const found = new Map();
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const edge = findNearestEdge({ x: start.x + dx * t, y: start.y + dy * t }, options);
+            if (!edge) continue;
+            if (length && getAlignment(edge, dx, dy, length) <= MIN_STROKE_ALIGNMENT) continue;
+            found.set(edge.id, edge);
+        }
+        return Array.from(found.values());
+    }
+
+    global.GeometryEdges = {
+        EDGE_DASHES,
+        getEdgeId,
+        getEdgePolygonIds,
+        getSharedEdges,
+        findNearestEdge,
+        findEdgesAlongSegment
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
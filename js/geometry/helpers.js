@@ -3,7 +3,12 @@
  * builders, and hit-testing utilities.
  */
 (function (global) {
-    function createPolygon({ id, type, center, vertices, color, metadata = {} }) {
+    /**
+     * Builds a polygon record. `cell` is the logical grid coordinate (axial q/r
+     * for hexes, row/col for squares, row/col/up for triangles); geometry is
+     * always derived from it so saved boards stay resolution independent.
+     */
+    function createPolygon({ id, type, cell, center, vertices, color, metadata = {} }) {
         const bounds = vertices.reduce(
             (acc, point) => ({
                 minX: Math.min(acc.minX, point.x),
@@ -17,6 +22,7 @@
         return {
             id,
             type,
+            cell,
             center,
             vertices,
             color: color || Config.DEFAULT_FILL,
@@ -25,21 +31,44 @@
         };
     }
 
+    /**
+     * Stable string key for a logical cell coordinate, independent of property order.
+     *
+     * @param {Object} cell - Logical coordinate, e.g. { q, r } or { row, col }.
+     * @returns {string} Key such as "q:1|r:-2".
+     */
+    function getCellKey(cell) {
+        if (!cell) return '';
+        return Object.keys(cell)
+            .sort()
+            .map((key) => `${key}:${cell[key]}`)
+            .join('|');
+    }
+
     function shouldIncludePolygon(center, boardMetrics) {
         if (!boardMetrics) return true;
         if (boardMetrics.circle) {
             return isPointInCircle(center, boardMetrics.circle);
         }
+        if (boardMetrics.ellipse) {
+            return isPointInEllipse(center, boardMetrics.ellipse);
+        }
         if (boardMetrics.outline) {
             return isPointInPolygon(center, boardMetrics.outline);
         }
         return true;
     }
 
+    /**
+     * Describes the board outline inside the grid's bounding box: a polygon
+     * `outline`, a `circle` (with an optional `innerRadius` hole for rings) or
+     * an `ellipse`. Rectangular shapes leave all three empty.
+     */
     function createBoardMetrics(offsetX, offsetY, width, height, config, orientationHint) {
         const bounds = { x: offsetX, y: offsetY, width, height };
         let outline = null;
         let circle = null;
+        let ellipse = null;
 
         switch (config.boardShape) {
             case 'hexagon': {
@@ -57,10 +86,40 @@
                     radius: Math.min(width, height) / 2
                 };
                 break;
+            case 'ring': {
+                // Radii are in tiles; the outer edge sits half a tile beyond the outermost ring of cells.
+                const radius = Math.min(width, height) / 2;
+                const tiles = Math.max(0, Math.round(config.radius ?? 0)) + 0.5;
+                const innerTiles = Math.max(0, Math.round(config.innerRadius ?? 0) - 0.5);
+                circle = {
+                    cx: offsetX + width / 2,
+                    cy: offsetY + height / 2,
+                    radius,
+                    innerRadius: (radius * Math.min(innerTiles, tiles)) / tiles
+                };
+                break;
+            }
+            case 'ellipse':
+                ellipse = {
+                    cx: offsetX + width / 2,
+                    cy: offsetY + height / 2,
+                    rx: width / 2,
+                    ry: height / 2
+                };
+                break;
+            case 'rhombus':
+                outline = createBoardRhombusOutline(bounds);
+                break;
+            case 'cross': {
+                const { cols } = normalizeBoardDimensions(config);
+                const armWidth = Math.min(cols, Math.max(1, Math.round(config.armWidth ?? 1)));
+                outline = createBoardCrossOutline(bounds, armWidth / cols);
+                break;
+            }
             default:
                 break;
         }
-        return { bounds, outline, circle };
+        return { bounds, outline, circle, ellipse };
     }
 
     function createBoardHexOutline(bounds, orientation) {
@@ -101,10 +160,54 @@
         ];
     }
 
+    function createBoardRhombusOutline(bounds) {
+        const { x, y, width, height } = bounds;
+        return [
+            { x: x + width / 2, y },
+            { x: x + width, y: y + height / 2 },
+            { x: x + width / 2, y: y + height },
+            { x, y: y + height / 2 }
+        ];
+    }
+
+    /**
+     * Plus-shaped outline whose arms span `armRatio` of the board's width and
+     * height.
+     */
+    function createBoardCrossOutline(bounds, armRatio) {
+        const { x, y, width, height } = bounds;
+        const left = x + (width * (1 - armRatio)) / 2;
+        const right = x + (width * (1 + armRatio)) / 2;
+        const top = y + (height * (1 - armRatio)) / 2;
+        const bottom = y + (height * (1 + armRatio)) / 2;
+        return [
+            { x: left, y },
+            { x: right, y },
+            { x: right, y: top },
+            { x: x + width, y: top },
+            { x: x + width, y: bottom },
+            { x: right, y: bottom },
+            { x: right, y: y + height },
+            { x: left, y: y + height },
+            { x: left, y: bottom },
+            { x, y: bottom },
+            { x, y: top },
+            { x: left, y: top }
+        ];
+    }
+
     function isPointInCircle(point, circle) {
         const dx = point.x - circle.cx;
         const dy = point.y - circle.cy;
-        return dx * dx + dy * dy <= circle.radius * circle.radius;
+        const distanceSquared = dx * dx + dy * dy;
+        const innerRadius = circle.innerRadius || 0;
+        return distanceSquared <= circle.radius * circle.radius && distanceSquared >= innerRadius * innerRadius;
+    }
+
+    function isPointInEllipse(point, ellipse) {
+        const dx = (point.x - ellipse.cx) / ellipse.rx;
+        const dy = (point.y - ellipse.cy) / ellipse.ry;
+        return dx * dx + dy * dy <= 1;
     }
 
     function normalizeBoardDimensions(config) {
@@ -117,9 +220,11 @@
             case 'square':
                 return { cols: size, rows: size };
             case 'triangle':
+            case 'cross':
                 return { cols: size, rows: size };
             case 'hexagon':
-            case 'circle': {
+            case 'circle':
+            case 'ring': {
                 const diameter = radius * 2 + 1;
                 return { cols: diameter, rows: diameter };
             }
@@ -196,6 +301,23 @@
         return inside;
     }
 
+    /**
+     * Combined world-space bounds of every polygon, or null for an empty board.
+     */
+    function getPolygonsBounds(polygons) {
+        if (!polygons || !polygons.length) return null;
+        const bounds = polygons.reduce(
+            (acc, polygon) => ({
+                minX: Math.min(acc.minX, polygon.bounds.minX),
+                maxX: Math.max(acc.maxX, polygon.bounds.maxX),
+                minY: Math.min(acc.minY, polygon.bounds.minY),
+                maxY: Math.max(acc.maxY, polygon.bounds.maxY)
+            }),
+            { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+        );
+        return { ...bounds, width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY };
+    }
+
     function findPolygonAtPoint(point, polygons) {
         let candidate = null;
         let smallestDistance = Infinity;
@@ -221,19 +343,123 @@
         return candidate;
     }
 
+    /**
+     * Returns the polygons whose centers lie inside a world-space rectangle.
+     *
+     * @param {{minX:number,minY:number,maxX:number,maxY:number}} rect - Marquee rectangle.
+     * @param {Array<Object>} polygons - Candidate polygons.
+     * @returns {Array<Object>} Polygons inside the rectangle.
+     */
+    function findPolygonsInRect(rect, polygons) {
+        return polygons.filter(
+            ({ center }) => center.x >= rect.minX && center.x <= rect.maxX && center.y >= rect.minY && center.y <= rect.maxY
+        );
+    }
+
+    function segmentsIntersect(p1, p2, p3, p4) {
+        const d1 = cross(p3, p4, p1);
+        const d2 = cross(p3, p4, p2);
+        const d3 = cross(p1, p2, p3);
+        const d4 = cross(p1, p2, p4);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    function cross(a, b, c) {
+        return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    }
+
+    /**
+     * Shortest distance from a point to a line segment.
+     */
+    function getDistanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const projection = lengthSquared ? ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared : 0;
+        const t = Math.max(0, Math.min(1, projection));
+        return Math.hypot(point.x - (start.x + dx * t), point.y - (start.y + dy * t));
+    }
+
+    /**
+     * Distance from a polygon's center to its nearest edge: the radius of the
+     * largest circle centered in the cell.
+     */
+    function getInradius(polygon) {
+        return polygon.vertices.reduce((smallest, vertex, index) => {
+            const next = polygon.vertices[(index + 1) % polygon.vertices.length];
+            return Math.min(smallest, getDistanceToSegment(polygon.center, vertex, next));
+        }, Infinity);
+    }
+
+    /**
+     * Returns every polygon a line segment passes through, ordered from the
+     * segment's start to its end. Used to join pointer samples into strokes.
+     *
+     * @param {{x:number,y:number}} start - Segment start (world space).
+     * @param {{x:number,y:number}} end - Segment end (world space).
+     * @param {Array<Object>} polygons - Candidate polygons.
+     * @returns {Array<Object>} Crossed polygons.
+     */
+    function findPolygonsAlongSegment(start, end, polygons) {
+        const minX = Math.min(start.x, end.x);
+        const maxX = Math.max(start.x, end.x);
+        const minY = Math.min(start.y, end.y);
+        const maxY = Math.max(start.y, end.y);
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy || 1;
+
+        const crossed = polygons.filter((polygon) => {
+            const { bounds, vertices } = polygon;
+            if (bounds.maxX < minX || bounds.minX > maxX || bounds.maxY < minY || bounds.minY > maxY) {
+                return false;
+            }
+            if (isPointInPolygon(start, vertices) || isPointInPolygon(end, vertices)) {
+                return true;
+            }
+            return vertices.some((vertex, index) =>
+                segmentsIntersect(start, end, vertex, vertices[(index + 1) % vertices.length])
+            );
+        });
+
+        const progress = (polygon) =>
+            ((polygon.center.x - start.x) * dx + (polygon.center.y - start.y) * dy) / lengthSquared;
+        return crossed.sort((a, b) => progress(a) - progress(b));
+    }
+
+    /**
+     * Polygons of the board being edited, the default polygon list of the
+     * geometry helpers (empty when the app state is not loaded).
+     *
+     * @returns {Array<Object>} Current polygons.
+     */
+    function getCurrentPolygons() {
+        return typeof AppState !== 'undefined' ? AppState.getState().polygons : [];
+    }
+
     global.GeometryHelpers = {
         createPolygon,
+        getCellKey,
         shouldIncludePolygon,
         createBoardMetrics,
         createBoardHexOutline,
         createBoardTriangleOutline,
+        createBoardRhombusOutline,
+        createBoardCrossOutline,
         isPointInCircle,
+        isPointInEllipse,
         normalizeBoardDimensions,
         createHexVertices,
         createSquareVertices,
         createDiamondVertices,
         createTriangleVertices,
         isPointInPolygon,
-        findPolygonAtPoint
+        getPolygonsBounds,
+        findPolygonAtPoint,
+        findPolygonsAlongSegment,
+        findPolygonsInRect,
+        getDistanceToSegment,
+        getInradius,
+        getCurrentPolygons
     };
 })(typeof window !== 'undefined' ? window : globalThis);
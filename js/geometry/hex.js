@@ -11,10 +11,9 @@
         createHexVertices
     } = helpers;
 
-    function buildHexGrid(config, canvas, colorMap) {
-        if (!canvas) return [];
+    function buildHexGrid(config, colorMap) {
         if (config.boardShape === 'hexagon') {
-            return buildHexagonShapedGrid(config, canvas, colorMap);
+            return buildHexagonShapedGrid(config, colorMap);
         }
 
         const dims = normalizeBoardDimensions(config);
@@ -22,23 +21,9 @@
         const rows = dims.rows;
         const orientation = config.orientation === 'flat-top' ? 'flat-top' : 'pointy-top';
 
-        const availableWidth = canvas.width - Config.CANVAS_PADDING * 2;
-        const availableHeight = canvas.height - Config.CANVAS_PADDING * 2;
-
-        const sizeFromWidth =
-            orientation === 'pointy-top'
-                ? availableWidth / (Math.sqrt(3) * Math.max(cols, 1))
-                : availableWidth / (2 + 1.5 * Math.max(cols - 1, 0));
-        const sizeFromHeight =
-            orientation === 'pointy-top'
-                ? availableHeight / (2 + 1.5 * Math.max(rows - 1, 0))
-                : availableHeight / (Math.sqrt(3) * Math.max(rows, 1));
-
-        const size = Math.max(8, Math.floor(Math.min(sizeFromWidth, sizeFromHeight)));
+        const size = Config.CELL_SIZE;
         const hexWidth = orientation === 'pointy-top' ? Math.sqrt(3) * size : 2 * size;
         const hexHeight = orientation === 'pointy-top' ? 2 * size : Math.sqrt(3) * size;
-        const horizSpacing = orientation === 'pointy-top' ? hexWidth : 1.5 * size;
-        const vertSpacing = orientation === 'pointy-top' ? 1.5 * size : hexHeight;
 
         const boardWidth =
             orientation === 'pointy-top'
@@ -49,31 +34,17 @@
                 ? 2 * size + (rows - 1) * 1.5 * size
                 : Math.sqrt(3) * size * rows;
 
-        const offsetX = (canvas.width - boardWidth) / 2;
-        const offsetY = (canvas.height - boardHeight) / 2;
+        const offsetX = 0;
+        const offsetY = 0;
         const boardMetrics = createBoardMetrics(offsetX, offsetY, boardWidth, boardHeight, config, orientation);
+        // World position of axial (0, 0), i.e. the top-left cell of the offset grid.
+        const origin = { x: offsetX + hexWidth / 2, y: offsetY + hexHeight / 2 };
 
         const polygons = [];
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
-                let centerX;
-                let centerY;
-
-                if (orientation === 'flat-top') {
-                    centerX = offsetX + size + col * horizSpacing;
-                    centerY = offsetY + hexHeight / 2 + row * vertSpacing;
-                    if (col % 2 !== 0) {
-                        centerY += vertSpacing / 2;
-                    }
-                } else {
-                    centerX = offsetX + hexWidth / 2 + col * horizSpacing;
-                    if (row % 2 !== 0) {
-                        centerX += horizSpacing / 2;
-                    }
-                    centerY = offsetY + size + row * vertSpacing;
-                }
-
-                const center = { x: centerX, y: centerY };
+                const cell = offsetToAxial(row, col, orientation);
+                const center = axialToWorld(cell, size, orientation, origin);
                 if (!shouldIncludePolygon(center, boardMetrics)) continue;
 
                 const id = `hex_${row}_${col}`;
@@ -82,6 +53,7 @@
                     createPolygon({
                         id,
                         type: 'hexagon',
+                        cell,
                         center,
                         vertices,
                         color: colorMap?.get(id)
@@ -92,8 +64,7 @@
         return polygons;
     }
 
-    function buildHexagonShapedGrid(config, canvas, colorMap) {
-        if (!canvas) return [];
+    function buildHexagonShapedGrid(config, colorMap) {
         const radius = Math.max(
             0,
             Number.isFinite(config.radius) ? Math.floor(config.radius) : Config.DEFAULT_BOARD_CONFIG.radius
@@ -101,17 +72,20 @@
         const orientation = config.orientation === 'flat-top' ? 'flat-top' : 'pointy-top';
         const rowPlan = createHexagonRowPlan(radius);
         const layout = computeHexagonAxialLayout(rowPlan.rows, orientation);
-        const placement = calculateHexagonCentering(layout, orientation, canvas);
+        const placement = calculateHexagonPlacement(layout, orientation);
+        const origin = {
+            x: (placement.hexWidthUnit / 2 - layout.minX) * placement.size + placement.offsetX,
+            y: (placement.hexHeightUnit / 2 - layout.minY) * placement.size + placement.offsetY
+        };
 
         return layout.coords.map((coord) => {
             const polygonId = `hex_${coord.q}_${coord.r}`;
-            const center = {
-                x: (coord.x - layout.minX + placement.hexWidthUnit / 2) * placement.size + placement.offsetX,
-                y: (coord.y - layout.minY + placement.hexHeightUnit / 2) * placement.size + placement.offsetY
-            };
+            const cell = { q: coord.q, r: coord.r };
+            const center = axialToWorld(cell, placement.size, orientation, origin);
             return createPolygon({
                 id: polygonId,
                 type: 'hexagon',
+                cell,
                 center,
                 vertices: createHexVertices(center, placement.size, orientation),
                 color: colorMap?.get(polygonId)
@@ -119,6 +93,43 @@
         });
     }
 
+    /**
+     * Converts offset row/col (odd rows shifted for pointy-top, odd columns for
+     * flat-top) into axial coordinates.
+     */
+    function offsetToAxial(row, col, orientation) {
+        if (orientation === 'flat-top') {
+            return { q: col, r: row - (col - (col & 1)) / 2 };
+        }
+        return { q: col - (row - (row & 1)) / 2, r: row };
+    }
+
+    /**
+     * Inverse of offsetToAxial.
+     */
+    function axialToOffset(cell, orientation) {
+        if (orientation === 'flat-top') {
+            return { row: cell.r + (cell.q - (cell.q & 1)) / 2, col: cell.q };
+        }
+        return { row: cell.r, col: cell.q + (cell.r - (cell.r & 1)) / 2 };
+    }
+
+    /**
+     * Lays out an axial cell in world space; `origin` is where axial (0, 0) sits.
+     */
+    function axialToWorld(cell, size, orientation, origin = { x: 0, y: 0 }) {
+        if (orientation === 'flat-top') {
+            return {
+                x: origin.x + size * 1.5 * cell.q,
+                y: origin.y + size * Math.sqrt(3) * (cell.r + cell.q / 2)
+            };
+        }
+        return {
+            x: origin.x + size * Math.sqrt(3) * (cell.q + cell.r / 2),
+            y: origin.y + size * 1.5 * cell.r
+        };
+    }
+
     function createHexagonRowPlan(radius) {
         const safeRadius = Math.max(0, radius);
         const totalRows = safeRadius * 2 + 1;
@@ -166,37 +177,24 @@
         return { coords, minX, maxX, minY, maxY };
     }
 
-    function calculateHexagonCentering(layout, orientation, canvas) {
+    /**
+     * Converts unit axial layout bounds into world-space placement values so the
+     * hexagon's bounding box starts at the world origin.
+     */
+    function calculateHexagonPlacement(layout, orientation) {
         const hexWidthUnit = orientation === 'pointy-top' ? Math.sqrt(3) : 2;
         const hexHeightUnit = orientation === 'pointy-top' ? 2 : Math.sqrt(3);
-        const widthCenters = layout.maxX - layout.minX;
-        const heightCenters = layout.maxY - layout.minY;
-        const availableWidth = canvas.width - Config.CANVAS_PADDING * 2;
-        const availableHeight = canvas.height - Config.CANVAS_PADDING * 2;
-
-        const size = Math.max(
-            8,
-            Math.floor(
-                Math.min(
-                    availableWidth / (widthCenters + hexWidthUnit),
-                    availableHeight / (heightCenters + hexHeightUnit)
-                )
-            )
-        );
-
-        const boardWidth = (widthCenters + hexWidthUnit) * size;
-        const boardHeight = (heightCenters + hexHeightUnit) * size;
-        const offsetX = (canvas.width - boardWidth) / 2;
-        const offsetY = (canvas.height - boardHeight) / 2;
-
-        return { size, offsetX, offsetY, hexWidthUnit, hexHeightUnit };
+        return { size: Config.CELL_SIZE, offsetX: 0, offsetY: 0, hexWidthUnit, hexHeightUnit };
     }
 
     global.GeometryHex = {
         buildHexGrid,
         buildHexagonShapedGrid,
+        offsetToAxial,
+        axialToOffset,
+        axialToWorld,
         createHexagonRowPlan,
         computeHexagonAxialLayout,
-        calculateHexagonCentering
+        calculateHexagonPlacement
     };
 })(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,116 @@
+/**
+ * Icon stamp geometry: a small built-in vector icon set (trees, mountains,
+ * castles...) stamped onto cells so boards stay readable when printed in
+ * black and white. Icons are outlines in unit coordinates scaled to the cell
+ * they sit on, so canvas and SVG output share the same shapes.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Stampable icons. 'number' shows a numeral instead of an outline.
+     */
+    const ICON_NAMES = ['tree', 'mountain', 'castle', 'skull', 'star', 'number'];
+    // Icons span this share of the cell's inscribed circle.
+    const CELL_FILL_RATIO = 0.75;
+
+    function getCirclePoints(cx, cy, radius, startAngle, endAngle, segments) {
+        return Array.from({ length: segments + 1 }, (_, index) => {
+            const angle = startAngle + ((endAngle - startAngle) * index) / segments;
+            return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        });
+    }
+
+    function getStarPoints() {
+        return Array.from({ length: 10 }, (_, index) => {
+            const angle = -Math.PI / 2 + (index * Math.PI) / 5;
+            const radius = index % 2 ? 0.4 : 1;
+            return [radius * Math.cos(angle), radius * Math.sin(angle)];
+        });
+    }
+
+    // Outlines in unit coordinates (-1..1, y down). Icons are filled with the
+    // even-odd rule, so inner outlines (eyes, gates) cut holes.
+    const ICON_OUTLINES = {
+        tree: [
+            [[0, -1], [0.55, -0.25], [0.3, -0.25], [0.7, 0.45], [-0.7, 0.45], [-0.3, -0.25], [-0.55, -0.25]],
+            [[-0.15, 0.45], [0.15, 0.45], [0.15, 0.95], [-0.15, 0.95]]
+        ],
+        mountain: [
+            [[-1, 0.8], [-0.35, -0.55], [-0.05, 0.05], [0.3, -0.85], [1, 0.8]]
+        ],
+        castle: [
+            [
+                [-0.8, 0.9], [-0.8, -0.9], [-0.5, -0.9], [-0.5, -0.6], [-0.2, -0.6], [-0.2, -0.9], [0.2, -0.9],
+                [0.2, -0.6], [0.5, -0.6], [0.5, -0.9], [0.8, -0.9], [0.8, 0.9], [0.25, 0.9], [0.25, 0.35],
+                [0, 0.12], [-0.25, 0.35], [-0.25, 0.9]
+            ]
+        ],
+        skull: [
+            getCirclePoints(0, -0.2, 0.8, Math.PI * 0.75, Math.PI * 2.25, 18).concat([
+                [0.4, 0.45], [0.4, 0.9], [-0.4, 0.9], [-0.4, 0.45]
+            ]),
+            getCirclePoints(-0.3, -0.2, 0.2, 0, Math.PI * 2, 10).slice(0, -1),
+            getCirclePoints(0.3, -0.2, 0.2, 0, Math.PI * 2, 10).slice(0, -1),
+            [[0, 0.1], [0.1, 0.3], [-0.1, 0.3]]
+        ],
+        star: [getStarPoints()]
+    };
+
+    /**
+     * Positions and sizes of the stamps on cells of the board. Stamps on
+     * cells that are not on the board are skipped.
+     *
+     * @param {Map<string,Object>} icons - Stamps by cell id.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<{cell:Object,stamp:Object,x:number,y:number,size:number}>} Placements;
+     *   `size` is the distance from the center to the icon's edge.
+     */
+    function getIconPlacements(icons, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const { polygonsById } = topology.getAdjacencyGraph(polygons);
+        const placements = [];
+        icons.forEach((stamp, id) => {
+            const cell = polygonsById.get(id);
+            if (!cell) return;
+            const size = helpers.getInradius(cell) * CELL_FILL_RATIO;
+            placements.push({ cell, stamp, x: cell.center.x, y: cell.center.y, size });
+        });
+        return placements;
+    }
+
+    /**
+     * Outlines of an icon around a center. Numbers have no outline and
+     * return an empty list; callers draw them as text.
+     *
+     * @param {string} icon - One of ICON_NAMES.
+     * @param {{x:number,y:number}} center - Icon center.
+     * @param {number} size - Distance from the center to the icon's edge.
+     * @returns {Array<Array<{x:number,y:number}>>} Closed outlines, to fill with the even-odd rule.
+     */
+    function getIconOutlines(icon, center, size) {
+        return (ICON_OUTLINES[icon] || []).map((outline) =>
+            outline.map(([x, y]) => ({ x: center.x + x * size, y: center.y + y * size }))
+        );
+    }
+
+    /**
+     * Font size that fits a numeral stamp inside its icon area.
+     *
+     * @param {number} size - Distance from the center to the icon's edge.
+     * @param {string} text - Numeral to draw.
+     * @returns {number} Font size in world units.
+     */
+    function getIconFontSize(size, text) {
+        return Math.min(size * 1.5, (2 * size) / (Math.max(1, text.length) * 0.6));
+    }
+
+    global.GeometryIcons = {
+        ICON_NAMES,
+        getIconPlacements,
+        getIconOutlines,
+        getIconFontSize
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
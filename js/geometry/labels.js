@@ -0,0 +1,166 @@
+/**
+ * Coordinate labels for the board overlay and exports. Every notation is
+ * derived from the logical cell stored on each polygon, so labels stay the
+ * same across zoom levels, regeneration and save/load.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const hex = global.GeometryHex;
+
+    /**
+     * Supported notations: axial "q,r" (hex grids; other grids fall back to
+     * "col,row"), offset "col,row", chess-style "A1" (rank 1 at the bottom)
+     * and wargame-style "0304" (column then row, both from 1).
+     */
+    const NOTATIONS = ['axial', 'offset', 'chess', 'wargame'];
+
+    // Labels are kept inside the cell's inscribed circle; glyphs average this fraction of the font size in width.
+    const GLYPH_WIDTH_RATIO = 0.6;
+    const LABEL_FILL_RATIO = 0.9;
+
+    function isHexCell(polygon) {
+        return polygon.cell && 'q' in polygon.cell && 'r' in polygon.cell;
+    }
+
+    /**
+     * Row/column of a cell on its lattice (hexes via their offset coordinate).
+     */
+    function getLatticePosition(polygon, orientation) {
+        if (isHexCell(polygon)) {
+            return hex.axialToOffset(polygon.cell, orientation);
+        }
+        if (polygon.cell && 'row' in polygon.cell) {
+            return { row: polygon.cell.row, col: polygon.cell.col };
+        }
+        return null;
+    }
+
+    /**
+     * Short suffix telling apart the tiles that share a lattice position in
+     * semi-regular tilings (e.g. "o"/"s" for octagon/square, "a"-"c" for rhombi).
+     */
+    function getTileSuffix(polygon) {
+        if (!polygon.cell || !('tile' in polygon.cell)) return '';
+        const { tile } = polygon.cell;
+        return typeof tile === 'number' ? String.fromCharCode(97 + tile) : String(tile).charAt(0);
+    }
+
+    function toColumnLetters(index) {
+        let letters = '';
+        let remaining = index + 1;
+        while (remaining > 0) {
+            const digit = (remaining - 1) % 26;
+            letters = String.fromCharCode(65 + digit) + letters;
+            remaining = Math.floor((remaining - 1) / 26);
+        }
+        return letters;
+    }
+
+    function getLatticeRange(polygons, orientation) {
+        const range = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+        polygons.forEach((polygon) => {
+            const position = getLatticePosition(polygon, orientation);
+            if (!position) return;
+            range.minRow = Math.min(range.minRow, position.row);
+            range.maxRow = Math.max(range.maxRow, position.row);
+            range.minCol = Math.min(range.minCol, position.col);
+            range.maxCol = Math.max(range.maxCol, position.col);
+        });
+        return range;
+    }
+
+    /**
+     * Creates a function returning the label of a cell. Positions are counted
+     * from the top-left cell of `polygons`, so pass the whole grid (masked
+     * cells included) to keep labels stable while sculpting.
+     *
+     * @param {string} notation - One of NOTATIONS.
+     * @param {Object} options
+     * @param {Array<Object>} options.polygons - Every cell of the grid.
+     * @param {string} [options.orientation='pointy-top'] - Hex orientation, used for offset coordinates.
+     * @returns {function(Object): string} Label for a polygon ('' when it has no coordinate).
+     */
+    function createCellLabeler(notation, options) {
+        const orientation = options.orientation === 'flat-top' ? 'flat-top' : 'pointy-top';
+        const range = getLatticeRange(options.polygons, orientation);
+        const columns = range.maxCol - range.minCol + 1;
+        const rows = range.maxRow - range.minRow + 1;
+        const digits = Math.max(2, String(columns).length, String(rows).length);
+
+        return (polygon) => {
+            // Area maps have no lattice; regions are simply numbered.
+            if (polygon.cell && 'index' in polygon.cell) {
+                return String(polygon.cell.index + 1);
+            }
+            if (notation === 'axial' && isHexCell(polygon)) {
+                return `${polygon.cell.q},${polygon.cell.r}`;
+            }
+            const position = getLatticePosition(polygon, orientation);
+            if (!position) return '';
+            const col = position.col - range.minCol;
+            const row = position.row - range.minRow;
+            const suffix = getTileSuffix(polygon);
+            switch (notation) {
+                case 'chess':
+                    return `${toColumnLetters(col)}${range.maxRow - position.row + 1}${suffix}`;
+                case 'wargame':
+                    return `${String(col + 1).padStart(digits, '0')}${String(row + 1).padStart(digits, '0')}${suffix}`;
+                default:
+                    return `${col},${row}${suffix}`;
+            }
+        };
+    }
+
+    /**
+     * World-space font size that fits a label inside its cell: limited by the
+     * distance from the cell center to its nearest edge and by the label length.
+     *
+     * @param {Object} polygon - Cell to label.
+     * @param {string} label - Label text.
+     * @returns {number} Font size in world units.
+     */
+    function getLabelFontSize(polygon, label) {
+        const inradius = helpers.getInradius(polygon);
+        const byHeight = inradius * LABEL_FILL_RATIO;
+        const byWidth = (2 * inradius * LABEL_FILL_RATIO) / (Math.max(1, label.length) * GLYPH_WIDTH_RATIO);
+        return Math.min(byHeight, byWidth);
+    }
+
+    /**
+     * Positioned labels for a set of cells, ready to draw on a canvas or
+     * write into an SVG.
+     *
+     * @param {Array<Object>} polygons - Cells to label.
+     * @param {string} notation - One of NOTATIONS.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.grid] - Whole grid used for numbering (defaults to `polygons`).
+     * @param {string} [options.orientation] - Hex orientation.
+     * @returns {Array<{id:string,text:string,x:number,y:number,fontSize:number,color:string}>} Labels.
+     */
+    function getCoordinateLabels(polygons, notation, options = {}) {
+        const labelFor = createCellLabeler(notation, {
+            polygons: options.grid || polygons,
+            orientation: options.orientation
+        });
+        return polygons
+            .map((polygon) => {
+                const text = labelFor(polygon);
+                return {
+                    id: polygon.id,
+                    text,
+                    x: polygon.center.x,
+                    y: polygon.center.y,
+                    fontSize: getLabelFontSize(polygon, text),
+                    color: polygon.color
+                };
+            })
+            .filter((label) => label.text);
+    }
+
+    global.GeometryLabels = {
+        NOTATIONS,
+        createCellLabeler,
+        getLabelFontSize,
+        getCoordinateLabels
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
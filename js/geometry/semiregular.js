@@ -0,0 +1,189 @@
+/**
+ * Semi-regular (and dual) tiling builders: truncated square (octagons and
+ * small squares), rhombille (three rhombi per hexagon) and trihexagonal
+ * (hexagons and triangles). Each tiling mixes polygon types, so logical cells
+ * carry a `tile` field naming the piece within its lattice position.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const {
+        createPolygon,
+        shouldIncludePolygon,
+        createBoardMetrics,
+        normalizeBoardDimensions,
+        createDiamondVertices
+    } = helpers;
+
+    const SQRT3 = Math.sqrt(3);
+
+    /**
+     * Lattices overhang the board rectangle, so cells are kept only when
+     * their center is inside both the rectangle and the outline.
+     */
+    function isInsideBoard(center, boardMetrics) {
+        const { x, y, width, height } = boardMetrics.bounds;
+        const inRect = center.x >= x && center.x <= x + width && center.y >= y && center.y <= y + height;
+        return inRect && shouldIncludePolygon(center, boardMetrics);
+    }
+
+    function getCentroid(vertices) {
+        return {
+            x: vertices.reduce((sum, vertex) => sum + vertex.x, 0) / vertices.length,
+            y: vertices.reduce((sum, vertex) => sum + vertex.y, 0) / vertices.length
+        };
+    }
+
+    function pushCell(polygons, boardMetrics, colorMap, { id, type, cell, vertices, center }) {
+        const resolvedCenter = center || getCentroid(vertices);
+        if (!isInsideBoard(resolvedCenter, boardMetrics)) return;
+        polygons.push(
+            createPolygon({
+                id,
+                type,
+                cell,
+                center: resolvedCenter,
+                vertices,
+                color: colorMap?.get(id)
+            })
+        );
+    }
+
+    function createOctagonVertices(center, width) {
+        const half = width / 2;
+        const edge = width / (1 + Math.SQRT2);
+        const halfEdge = edge / 2;
+        return [
+            { x: center.x - halfEdge, y: center.y - half },
+            { x: center.x + halfEdge, y: center.y - half },
+            { x: center.x + half, y: center.y - halfEdge },
+            { x: center.x + half, y: center.y + halfEdge },
+            { x: center.x + halfEdge, y: center.y + half },
+            { x: center.x - halfEdge, y: center.y + half },
+            { x: center.x - half, y: center.y + halfEdge },
+            { x: center.x - half, y: center.y - halfEdge }
+        ];
+    }
+
+    /**
+     * Octagons on a square lattice with 45°-rotated squares filling the gaps
+     * between each block of four octagons. Octagons are 1.5 cells wide.
+     */
+    function buildTruncatedSquareGrid(config, colorMap) {
+        const { cols, rows } = normalizeBoardDimensions(config);
+        const width = Config.CELL_SIZE * 1.5;
+        const squareDiagonal = width - width / (1 + Math.SQRT2);
+        const boardMetrics = createBoardMetrics(0, 0, cols * width, rows * width, config);
+        const polygons = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const center = { x: width / 2 + col * width, y: width / 2 + row * width };
+                pushCell(polygons, boardMetrics, colorMap, {
+                    id: `octagon_${row}_${col}`,
+                    type: 'octagon',
+                    cell: { row, col, tile: 'octagon' },
+                    center,
+                    vertices: createOctagonVertices(center, width)
+                });
+                if (row === rows - 1 || col === cols - 1) continue;
+                const gapCenter = { x: (col + 1) * width, y: (row + 1) * width };
+                pushCell(polygons, boardMetrics, colorMap, {
+                    id: `octsquare_${row}_${col}`,
+                    type: 'square',
+                    cell: { row, col, tile: 'square' },
+                    center: gapCenter,
+                    vertices: createDiamondVertices(gapCenter, squareDiagonal)
+                });
+            }
+        }
+        return polygons;
+    }
+
+    /**
+     * Pointy-top hexagons (radius one cell) in offset rows, each split into
+     * three rhombi that meet at the hexagon's center.
+     */
+    function buildRhombilleGrid(config, colorMap) {
+        const { cols, rows } = normalizeBoardDimensions(config);
+        const radius = Config.CELL_SIZE;
+        const hexWidth = SQRT3 * radius;
+        const boardMetrics = createBoardMetrics(0, 0, cols * hexWidth + hexWidth / 2, rows * 1.5 * radius + radius / 2, config);
+        const polygons = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const center = {
+                    x: hexWidth / 2 + col * hexWidth + (row % 2 === 1 ? hexWidth / 2 : 0),
+                    y: radius + row * 1.5 * radius
+                };
+                const corners = Array.from({ length: 6 }, (_, index) => {
+                    const angle = ((-90 + index * 60) * Math.PI) / 180;
+                    return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+                });
+                for (let tile = 0; tile < 3; tile++) {
+                    pushCell(polygons, boardMetrics, colorMap, {
+                        id: `rhombus_${row}_${col}_${tile}`,
+                        type: 'rhombus',
+                        cell: { row, col, tile },
+                        vertices: [center, corners[tile * 2], corners[tile * 2 + 1], corners[(tile * 2 + 2) % 6]]
+                    });
+                }
+            }
+        }
+        return polygons;
+    }
+
+    /**
+     * Flat-top hexagons touching at their corners, with an upward and a
+     * downward triangle in the gaps to the right of each hexagon. Hexagon
+     * edges are three quarters of a cell.
+     */
+    function buildTrihexagonalGrid(config, colorMap) {
+        const { cols, rows } = normalizeBoardDimensions(config);
+        const edge = Config.CELL_SIZE * 0.75;
+        const rowHeight = SQRT3 * edge;
+        const boardMetrics = createBoardMetrics(0, 0, cols * 2 * edge + edge, rows * rowHeight, config);
+        const polygons = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const center = {
+                    x: edge + col * 2 * edge + (row % 2 === 1 ? edge : 0),
+                    y: rowHeight / 2 + row * rowHeight
+                };
+                const corners = Array.from({ length: 6 }, (_, index) => {
+                    const angle = (index * 60 * Math.PI) / 180;
+                    return { x: center.x + edge * Math.cos(angle), y: center.y + edge * Math.sin(angle) };
+                });
+                pushCell(polygons, boardMetrics, colorMap, {
+                    id: `trihex_${row}_${col}_hexagon`,
+                    type: 'hexagon',
+                    cell: { row, col, tile: 'hexagon' },
+                    center,
+                    vertices: corners
+                });
+                // Both triangles share the hexagon's right-hand corner.
+                const apex = corners[0];
+                pushCell(polygons, boardMetrics, colorMap, {
+                    id: `trihex_${row}_${col}_up`,
+                    type: 'triangle',
+                    cell: { row, col, tile: 'up' },
+                    vertices: [apex, { x: apex.x + edge / 2, y: apex.y + rowHeight / 2 }, { x: apex.x - edge / 2, y: apex.y + rowHeight / 2 }]
+                });
+                pushCell(polygons, boardMetrics, colorMap, {
+                    id: `trihex_${row}_${col}_down`,
+                    type: 'triangle',
+                    cell: { row, col, tile: 'down' },
+                    vertices: [apex, { x: apex.x - edge / 2, y: apex.y - rowHeight / 2 }, { x: apex.x + edge / 2, y: apex.y - rowHeight / 2 }]
+                });
+            }
+        }
+        return polygons;
+    }
+
+    global.GeometrySemiRegular = {
+        buildTruncatedSquareGrid,
+        buildRhombilleGrid,
+        buildTrihexagonalGrid
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
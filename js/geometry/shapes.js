@@ -0,0 +1,274 @@
+/**
+ * Shape queries for the line, rectangle and hex-range tools and the ruler.
+ * They work on the logical cell coordinates stored on each polygon, so
+ * results snap to real cells regardless of zoom or board size.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Square-grid distance metrics: 'manhattan' counts orthogonal steps,
+     * 'chebyshev' lets diagonal steps count as one.
+     */
+    const DISTANCE_METRICS = ['manhattan', 'chebyshev'];
+    const indexCache = new WeakMap();
+
+    /**
+     * Indexes polygons by id and by logical cell key (cached per polygon list).
+     */
+    function getCellIndex(polygons) {
+        if (indexCache.has(polygons)) {
+            return indexCache.get(polygons);
+        }
+        const index = {
+            byId: new Map(polygons.map((polygon) => [polygon.id, polygon])),
+            byCell: new Map(polygons.filter((polygon) => polygon.cell).map((polygon) => [helpers.getCellKey(polygon.cell), polygon]))
+        };
+        indexCache.set(polygons, index);
+        return index;
+    }
+
+    function isHexCell(polygon) {
+        return polygon?.type === 'hexagon' && polygon.cell && 'q' in polygon.cell;
+    }
+
+    // Small squares of semi-regular tilings carry a `tile` and do not form a lattice.
+    function isSquareCell(polygon) {
+        return polygon?.type === 'square' && polygon.cell && 'row' in polygon.cell && !('tile' in polygon.cell);
+    }
+
+    /**
+     * Number of steps between two axial hex coordinates.
+     *
+     * @param {{q:number,r:number}} a - First cell.
+     * @param {{q:number,r:number}} b - Second cell.
+     * @returns {number} Hex distance.
+     */
+    function hexDistance(a, b) {
+        const dq = a.q - b.q;
+        const dr = a.r - b.r;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
+    function roundAxial(q, r) {
+        const s = -q - r;
+        let rq = Math.round(q);
+        let rr = Math.round(r);
+        const rs = Math.round(s);
+        const dq = Math.abs(rq - q);
+        const dr = Math.abs(rr - r);
+        const ds = Math.abs(rs - s);
+        if (dq > dr && dq > ds) {
+            rq = -rr - rs;
+        } else if (dr > ds) {
+            rr = -rq - rs;
+        }
+        return { q: rq, r: rr };
+    }
+
+    function lookupCells(cells, index) {
+        const seen = new Set();
+        return cells
+            .map((cell) => index.byCell.get(helpers.getCellKey(cell)))
+            .filter((polygon) => {
+                if (!polygon || seen.has(polygon.id)) return false;
+                seen.add(polygon.id);
+                return true;
+            });
+    }
+
+    function hexLine(a, b) {
+        const steps = hexDistance(a, b);
+        // A tiny nudge keeps lerped points off exact cell borders so ties round consistently.
+        const nudge = 1e-6;
+        const cells = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            cells.push(roundAxial(a.q + nudge + (b.q - a.q) * t, a.r + nudge + (b.r - a.r) * t));
+        }
+        return cells;
+    }
+
+    function squareLine(a, b) {
+        const cells = [];
+        let { row, col } = a;
+        const dCol = Math.abs(b.col - col);
+        const dRow = -Math.abs(b.row - row);
+        const stepCol = col < b.col ? 1 : -1;
+        const stepRow = row < b.row ? 1 : -1;
+        let error = dCol + dRow;
+        for (;;) {
+            cells.push({ row, col });
+            if (row === b.row && col === b.col) break;
+            const doubled = 2 * error;
+            if (doubled >= dRow) {
+                error += dRow;
+                col += stepCol;
+            }
+            if (doubled <= dCol) {
+                error += dCol;
+                row += stepRow;
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Returns the straight line of cells between two cells, both included.
+     * Hexes use cube interpolation and squares Bresenham's algorithm; other
+     * grids take every cell crossed by the segment between the two centers.
+     *
+     * @param {string} startId - First cell id.
+     * @param {string} endId - Last cell id.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<Object>} Polygons from start to end. Gaps in the board are skipped.
+     */
+    function getLineCells(startId, endId, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const index = getCellIndex(polygons);
+        const start = index.byId.get(startId);
+        const end = index.byId.get(endId);
+        if (!start || !end) return [];
+
+        if (isHexCell(start) && isHexCell(end)) {
+            return lookupCells(hexLine(start.cell, end.cell), index);
+        }
+        if (isSquareCell(start) && isSquareCell(end)) {
+            return lookupCells(squareLine(start.cell, end.cell), index);
+        }
+        return helpers.findPolygonsAlongSegment(start.center, end.center, polygons);
+    }
+
+    /**
+     * Returns the square cells inside the rectangle spanned by two corner cells.
+     *
+     * @param {string} startId - One corner cell id.
+     * @param {string} endId - Opposite corner cell id.
+     * @param {Object} [options]
+     * @param {boolean} [options.outline=false] - Only the rectangle's border cells.
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<Object>} Polygons in the rectangle (empty for non-square grids).
+     */
+    function getRectangleCells(startId, endId, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const index = getCellIndex(polygons);
+        const start = index.byId.get(startId);
+        const end = index.byId.get(endId);
+        if (!isSquareCell(start) || !isSquareCell(end)) return [];
+
+        const minRow = Math.min(start.cell.row, end.cell.row);
+        const maxRow = Math.max(start.cell.row, end.cell.row);
+        const minCol = Math.min(start.cell.col, end.cell.col);
+        const maxCol = Math.max(start.cell.col, end.cell.col);
+        const cells = [];
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const onBorder = row === minRow || row === maxRow || col === minCol || col === maxCol;
+                if (options.outline && !onBorder) continue;
+                cells.push({ row, col });
+            }
+        }
+        return lookupCells(cells, index);
+    }
+
+    /**
+     * Returns the hexes within a radius of a center hex, or only the ring at
+     * exactly that radius.
+     *
+     * @param {string} centerId - Center cell id.
+     * @param {number} radius - Radius in hex steps (0 = just the center).
+     * @param {Object} [options]
+     * @param {boolean} [options.ring=false] - Only cells at exactly `radius` steps.
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<Object>} Polygons in range (empty for non-hex grids).
+     */
+    function getHexRangeCells(centerId, radius, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const index = getCellIndex(polygons);
+        const center = index.byId.get(centerId);
+        if (!isHexCell(center)) return [];
+
+        const cells = [];
+        for (let dq = -radius; dq <= radius; dq++) {
+            for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) {
+                const cell = { q: center.cell.q + dq, r: center.cell.r + dr };
+                if (options.ring && hexDistance(cell, center.cell) !== radius) continue;
+                cells.push(cell);
+            }
+        }
+        return lookupCells(cells, index);
+    }
+
+    /**
+     * Distance between two lattice cells, or null when it has to be walked
+     * (grids other than hexes and squares).
+     */
+    function getLatticeDistance(a, b, metric) {
+        if (isHexCell(a) && isHexCell(b)) {
+            return hexDistance(a.cell, b.cell);
+        }
+        if (isSquareCell(a) && isSquareCell(b)) {
+            const dRow = Math.abs(a.cell.row - b.cell.row);
+            const dCol = Math.abs(a.cell.col - b.cell.col);
+            return metric === 'chebyshev' ? Math.max(dRow, dCol) : dRow + dCol;
+        }
+        return null;
+    }
+
+    /**
+     * Grid distance between two cells: hex distance on hex grids, Manhattan
+     * or Chebyshev distance on square grids, and the shortest walk across
+     * shared edges (or corners, for Chebyshev) on every other grid.
+     *
+     * @param {string} startId - First cell id.
+     * @param {string} endId - Second cell id.
+     * @param {Object} [options]
+     * @param {string} [options.metric='manhattan'] - One of DISTANCE_METRICS.
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {number|null} Steps between the cells, or null when they are not connected.
+     */
+    function getCellDistance(startId, endId, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const index = getCellIndex(polygons);
+        const start = index.byId.get(startId);
+        const end = index.byId.get(endId);
+        if (!start || !end) return null;
+        const distance = getLatticeDistance(start, end, options.metric);
+        if (distance !== null) return distance;
+        return topology.getStepDistance(startId, endId, { polygons, diagonals: options.metric === 'chebyshev' });
+    }
+
+    /**
+     * Returns every cell within a distance of a center cell, using the same
+     * measure as getCellDistance.
+     *
+     * @param {string} centerId - Center cell id.
+     * @param {number} steps - Maximum distance (0 = just the center).
+     * @param {Object} [options] - Same options as getCellDistance.
+     * @returns {Array<Object>} Polygons in range.
+     */
+    function getCellsInRange(centerId, steps, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const center = getCellIndex(polygons).byId.get(centerId);
+        if (!center) return [];
+        if (isHexCell(center) || isSquareCell(center)) {
+            return polygons.filter((polygon) => {
+                const distance = getLatticeDistance(center, polygon, options.metric);
+                return distance !== null && distance <= steps;
+            });
+        }
+        return topology.getCellsWithinSteps(centerId, steps, { polygons, diagonals: options.metric === 'chebyshev' });
+    }
+
+    global.GeometryShapes = {
+        DISTANCE_METRICS,
+        hexDistance,
+        getLineCells,
+        getRectangleCells,
+        getHexRangeCells,
+        getCellDistance,
+        getCellsInRange
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -12,18 +12,15 @@
         createDiamondVertices
     } = helpers;
 
-    function buildSquareGrid(config, canvas, colorMap) {
-        if (!canvas) return [];
+    function buildSquareGrid(config, colorMap) {
         const dims = normalizeBoardDimensions(config);
         const cols = dims.cols;
         const rows = dims.rows;
-        const availableWidth = canvas.width - Config.CANVAS_PADDING * 2;
-        const availableHeight = canvas.height - Config.CANVAS_PADDING * 2;
-        const size = Math.max(12, Math.floor(Math.min(availableWidth / cols, availableHeight / rows)));
+        const size = Config.CELL_SIZE;
         const boardWidth = size * cols;
         const boardHeight = size * rows;
-        const offsetX = (canvas.width - boardWidth) / 2;
-        const offsetY = (canvas.height - boardHeight) / 2;
+        const offsetX = 0;
+        const offsetY = 0;
         const boardMetrics = createBoardMetrics(offsetX, offsetY, boardWidth, boardHeight, config);
 
         const polygons = [];
@@ -39,6 +36,7 @@
                     createPolygon({
                         id,
                         type: 'square',
+                        cell: { row, col },
                         center,
                         vertices: createSquareVertices(center, size),
                         color: colorMap?.get(id)
@@ -49,7 +47,51 @@
         return polygons;
     }
 
+    /**
+     * Builds a 45°-rotated square grid. Diamonds sit in staggered half-rows:
+     * even rows hold `cols` diamonds, odd rows the `cols - 1` diamonds nestled
+     * between them, so the board spans cols x rows cells of Config.CELL_SIZE.
+     * Logical cells are { row, col } with `row` counting half-rows.
+     */
+    function buildDiamondGrid(config, colorMap) {
+        const dims = normalizeBoardDimensions(config);
+        const cols = dims.cols;
+        const rows = dims.rows;
+        const size = Config.CELL_SIZE;
+        const boardWidth = size * cols;
+        const boardHeight = size * rows;
+        const offsetX = 0;
+        const offsetY = 0;
+        const boardMetrics = createBoardMetrics(offsetX, offsetY, boardWidth, boardHeight, config);
+
+        const polygons = [];
+        for (let row = 0; row < rows * 2 - 1; row++) {
+            const isOffsetRow = row % 2 === 1;
+            const rowLength = isOffsetRow ? cols - 1 : cols;
+            for (let col = 0; col < rowLength; col++) {
+                const center = {
+                    x: offsetX + size / 2 + col * size + (isOffsetRow ? size / 2 : 0),
+                    y: offsetY + size / 2 + (row * size) / 2
+                };
+                if (!shouldIncludePolygon(center, boardMetrics)) continue;
+                const id = `diamond_${row}_${col}`;
+                polygons.push(
+                    createPolygon({
+                        id,
+                        type: 'diamond',
+                        cell: { row, col },
+                        center,
+                        vertices: createDiamondVertices(center, size),
+                        color: colorMap?.get(id)
+                    })
+                );
+            }
+        }
+        return polygons;
+    }
+
     global.GeometrySquare = {
-        buildSquareGrid
+        buildSquareGrid,
+        buildDiamondGrid
     };
 })(typeof window !== 'undefined' ? window : globalThis);
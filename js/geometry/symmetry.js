@@ -0,0 +1,165 @@
+/**
+ * Symmetry helpers for mirror/rotation painting. Counterparts are found
+ * geometrically: a cell's center is reflected or rotated about the board
+ * center and the cell under the resulting point is its partner. The center
+ * comes from the whole grid, removed cells included, so sculpting does not
+ * move the axes.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Supported modes. `rotations` lists the extra turns (in degrees) that are
+     * applied on top of the mirrors.
+     */
+    const SYMMETRY_MODES = {
+        none: { mirrorX: false, mirrorY: false, rotations: [] },
+        'mirror-x': { mirrorX: true, mirrorY: false, rotations: [] },
+        'mirror-y': { mirrorX: false, mirrorY: true, rotations: [] },
+        'mirror-xy': { mirrorX: true, mirrorY: true, rotations: [] },
+        'rotate-2': { mirrorX: false, mirrorY: false, rotations: [180] },
+        'rotate-3': { mirrorX: false, mirrorY: false, rotations: [120, 240] },
+        'rotate-6': { mirrorX: false, mirrorY: false, rotations: [60, 120, 180, 240, 300] }
+    };
+
+    // Every cell of the current board, removed ones included.
+    function getBoardCells() {
+        if (typeof AppState === 'undefined') return [];
+        const { polygons, maskedPolygons } = AppState.getState();
+        return polygons.concat(maskedPolygons);
+    }
+
+    // Cell outline as a string that does not depend on the vertex order.
+    function getShapeKey(vertices) {
+        return vertices.map(topology.getVertexKey).sort().join(';');
+    }
+
+    /**
+     * Rotational symmetry only holds on hexagon-shaped hex boards. Mirrors
+     * need every cell of the grid to land exactly on another cell, which
+     * depends on the tiling and the outline (offset hex rows, area maps and
+     * uneven outlines do not).
+     *
+     * @param {string} mode - Symmetry mode id.
+     * @param {Object} boardConfig - Current board configuration.
+     * @param {Array<Object>} [grid] - Every cell of the board (defaults to the current one, removed cells included).
+     * @returns {boolean} True when the mode can be used on the board.
+     */
+    function isSymmetryModeSupported(mode, boardConfig, grid = getBoardCells()) {
+        if (!SYMMETRY_MODES[mode]) return false;
+        if (mode.startsWith('rotate')) {
+            return boardConfig?.gridType === 'hexagon' && boardConfig?.boardShape === 'hexagon';
+        }
+        const shapes = new Set(grid.map((polygon) => getShapeKey(polygon.vertices)));
+        const transforms = getTransforms(mode, getSymmetryCenter(grid));
+        return grid.every((polygon) =>
+            transforms.every((transform) => shapes.has(getShapeKey(polygon.vertices.map(transform))))
+        );
+    }
+
+    function getSymmetryCenter(polygons) {
+        const bounds = helpers.getPolygonsBounds(polygons);
+        if (!bounds) return { x: 0, y: 0 };
+        return { x: bounds.minX + bounds.width / 2, y: bounds.minY + bounds.height / 2 };
+    }
+
+    /**
+     * Returns the point transforms for a mode (identity excluded).
+     */
+    function getTransforms(mode, center) {
+        const definition = SYMMETRY_MODES[mode] || SYMMETRY_MODES.none;
+        const transforms = [];
+        if (definition.mirrorX) {
+            transforms.push((point) => ({ x: 2 * center.x - point.x, y: point.y }));
+        }
+        if (definition.mirrorY) {
+            transforms.push((point) => ({ x: point.x, y: 2 * center.y - point.y }));
+        }
+        if (definition.mirrorX && definition.mirrorY) {
+            transforms.push((point) => ({ x: 2 * center.x - point.x, y: 2 * center.y - point.y }));
+        }
+        definition.rotations.forEach((degrees) => {
+            const angle = (degrees * Math.PI) / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            transforms.push((point) => {
+                const dx = point.x - center.x;
+                const dy = point.y - center.y;
+                return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+            });
+        });
+        return transforms;
+    }
+
+    /**
+     * Returns a cell together with its symmetric counterparts.
+     *
+     * @param {string} polygonId - Source cell id.
+     * @param {string} mode - Symmetry mode id.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @param {Array<Object>} [options.grid] - Every cell of the board, which sets the center (defaults to
+     *   `options.polygons` when given, otherwise the current board with its removed cells).
+     * @returns {Array<Object>} Source cell first, then distinct counterparts on the board.
+     */
+    function getSymmetricCells(polygonId, mode, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const grid = options.grid || options.polygons || getBoardCells();
+        const source = polygons.find((polygon) => polygon.id === polygonId);
+        if (!source) return [];
+
+        const seen = new Set([source.id]);
+        const cells = [source];
+        getTransforms(mode, getSymmetryCenter(grid)).forEach((transform) => {
+            const counterpart = helpers.findPolygonAtPoint(transform(source.center), polygons);
+            if (!counterpart || seen.has(counterpart.id)) return;
+            seen.add(counterpart.id);
+            cells.push(counterpart);
+        });
+        return cells;
+    }
+
+    /**
+     * Guide lines for a mode in world space: mirror axes, or the sector
+     * boundaries for rotations.
+     *
+     * @param {string} mode - Symmetry mode id.
+     * @param {Array<Object>} [grid] - Every cell of the board (defaults to the current one, removed cells included).
+     * @returns {Array<{start:{x:number,y:number},end:{x:number,y:number}}>} Line segments.
+     */
+    function getSymmetryGuides(mode, grid = getBoardCells()) {
+        const definition = SYMMETRY_MODES[mode];
+        const bounds = helpers.getPolygonsBounds(grid);
+        if (!definition || !bounds) return [];
+
+        const center = getSymmetryCenter(grid);
+        const guides = [];
+        if (definition.mirrorX) {
+            guides.push({ start: { x: center.x, y: bounds.minY }, end: { x: center.x, y: bounds.maxY } });
+        }
+        if (definition.mirrorY) {
+            guides.push({ start: { x: bounds.minX, y: center.y }, end: { x: bounds.maxX, y: center.y } });
+        }
+        if (definition.rotations.length) {
+            const sectors = definition.rotations.length + 1;
+            const length = Math.max(bounds.width, bounds.height) / 2;
+            for (let i = 0; i < sectors; i++) {
+                // Sector boundaries start straight up from the center.
+                const angle = -Math.PI / 2 + (i * 2 * Math.PI) / sectors;
+                guides.push({
+                    start: center,
+                    end: { x: center.x + Math.cos(angle) * length, y: center.y + Math.sin(angle) * length }
+                });
+            }
+        }
+        return guides;
+    }
+
+    global.GeometrySymmetry = {
+        SYMMETRY_MODES,
+        isSymmetryModeSupported,
+        getSymmetricCells,
+        getSymmetryGuides
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
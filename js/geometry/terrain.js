@@ -0,0 +1,118 @@
+/**
+ * Procedural terrain: seeded fractal value noise sampled at cell centers
+ * gives every cell an elevation, and elevation bands map it to palette
+ * swatches (water in the lows, snow on the peaks). The same seed and scale
+ * always produce the same map.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+
+    // Each noise octave doubles the detail and halves the influence of the previous one.
+    const OCTAVES = 4;
+    const PERSISTENCE = 0.5;
+
+    // Pseudo-random value in [0, 1) for a lattice point, fixed per seed.
+    function hashLattice(ix, iy, seed) {
+        let hash = Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1);
+        hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+    }
+
+    function smoothstep(t) {
+        return t * t * (3 - 2 * t);
+    }
+
+    function sampleValueNoise(x, y, seed) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const tx = smoothstep(x - ix);
+        const ty = smoothstep(y - iy);
+        const top = hashLattice(ix, iy, seed) * (1 - tx) + hashLattice(ix + 1, iy, seed) * tx;
+        const bottom = hashLattice(ix, iy + 1, seed) * (1 - tx) + hashLattice(ix + 1, iy + 1, seed) * tx;
+        return top * (1 - ty) + bottom * ty;
+    }
+
+    function sampleFractalNoise(x, y, seed) {
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        for (let octave = 0; octave < OCTAVES; octave++) {
+            total += sampleValueNoise(x * frequency, y * frequency, seed + octave) * amplitude;
+            amplitude *= PERSISTENCE;
+            frequency *= 2;
+        }
+        return total;
+    }
+
+    /**
+     * Elevation of every cell, stretched so the lowest cell of the board is
+     * 0 and the highest is 1; band thresholds then split the board's own
+     * range whatever its size.
+     *
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @param {number} [options.seed] - Integer seed.
+     * @param {number} [options.scale] - Feature size in cells.
+     * @returns {Map<string,number>} Elevations (0-1) by cell id.
+     */
+    function getTerrainElevations(options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const seed = Math.floor(Number(options.seed) || 0);
+        const featureSize = Config.CELL_SIZE * Math.max(Config.MIN_TERRAIN_SCALE, Number(options.scale) || 1);
+        const raw = polygons.map((polygon) =>
+            sampleFractalNoise(polygon.center.x / featureSize, polygon.center.y / featureSize, seed)
+        );
+        const min = Math.min(...raw);
+        const range = Math.max(...raw) - min;
+        return new Map(polygons.map((polygon, index) => [polygon.id, range ? (raw[index] - min) / range : 0.5]));
+    }
+
+    /**
+     * Elevation bands of a palette, low ground first. Palettes without a
+     * terrain list spread all their swatches evenly. Thresholds can be
+     * overridden per swatch label; each band reaches at least as high as
+     * the one below it and the last one always reaches 1.
+     *
+     * @param {Object} palette - Palette definition from Config.
+     * @param {Object<string,number>} [thresholds] - Upper elevations (0-1) by swatch label.
+     * @returns {Array<{label:string,hex:string,upTo:number}>} Bands.
+     */
+    function getTerrainBands(palette, thresholds = {}) {
+        const terrain = palette.terrain
+            || palette.colors.map((entry, index) => ({ label: entry.label, upTo: (index + 1) / palette.colors.length }));
+        let floor = 0;
+        return terrain
+            .map((band) => ({ ...band, swatch: palette.colors.find((entry) => entry.label === band.label) }))
+            .filter((band) => band.swatch)
+            .map((band, index, bands) => {
+                const override = thresholds[band.label];
+                const upTo = index === bands.length - 1 ? 1 : Number.isFinite(override) ? override : band.upTo;
+                floor = Math.min(1, Math.max(floor, upTo));
+                return { label: band.label, hex: band.swatch.hex, upTo: floor };
+            });
+    }
+
+    /**
+     * Swatch color of every cell for a terrain draft.
+     *
+     * @param {Array<{hex:string,upTo:number}>} bands - Result of getTerrainBands.
+     * @param {Object} [options] - Same options as getTerrainElevations.
+     * @returns {Array<{id:string,color:string}>} Cell colors, ready for a paint preview.
+     */
+    function getTerrainColors(bands, options = {}) {
+        if (!bands.length) return [];
+        const colors = [];
+        getTerrainElevations(options).forEach((elevation, id) => {
+            const band = bands.find((entry) => elevation <= entry.upTo) || bands[bands.length - 1];
+            colors.push({ id, color: band.hex });
+        });
+        return colors;
+    }
+
+    global.GeometryTerrain = {
+        getTerrainElevations,
+        getTerrainBands,
+        getTerrainColors
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,132 @@
+/**
+ * Token layer geometry: where game pieces sit on their cells. Tokens snap to
+ * cell centers; several tokens on one cell are fanned out diagonally like a
+ * stack of counters, the last one on top.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Token shapes: plain counters and a meeple-like glyph.
+     */
+    const TOKEN_SHAPES = ['circle', 'square', 'meeple'];
+    // Tokens fill at most this share of the cell's inscribed circle.
+    const CELL_FILL_RATIO = 0.8;
+    // Each token in a stack is shifted by this fraction of its radius.
+    const STACK_OFFSET_RATIO = 0.3;
+    // Meeple silhouette in unit coordinates (y down), from the top of the head clockwise.
+    const MEEPLE_OUTLINE = [
+        [0, -1],
+        [0.28, -0.92],
+        [0.36, -0.62],
+        [0.24, -0.36],
+        [0.86, -0.2],
+        [1, 0.06],
+        [0.44, 0.16],
+        [0.7, 1],
+        [0.16, 1],
+        [0, 0.66],
+        [-0.16, 1],
+        [-0.7, 1],
+        [-0.44, 0.16],
+        [-1, 0.06],
+        [-0.86, -0.2],
+        [-0.24, -0.36],
+        [-0.36, -0.62],
+        [-0.28, -0.92]
+    ];
+
+    /**
+     * Positions every token whose cell is on the board, in drawing order
+     * (bottom of each stack first).
+     *
+     * @param {Array<{id:string,cellId:string}>} tokens - Tokens in stacking order.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<{token:Object,x:number,y:number,radius:number}>} Token placements.
+     */
+    function getTokenPlacements(tokens, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const { polygonsById } = topology.getAdjacencyGraph(polygons);
+        const stacks = new Map();
+        tokens.forEach((token) => {
+            if (!polygonsById.has(token.cellId)) return;
+            if (!stacks.has(token.cellId)) stacks.set(token.cellId, []);
+            stacks.get(token.cellId).push(token);
+        });
+
+        const placements = [];
+        tokens.forEach((token) => {
+            const stack = stacks.get(token.cellId);
+            if (!stack) return;
+            const cell = polygonsById.get(token.cellId);
+            const radius = Math.min(Config.TOKEN_RADIUS, helpers.getInradius(cell) * CELL_FILL_RATIO);
+            // Stacks rise towards the upper right and stay centered on the cell.
+            const offset = (stack.indexOf(token) - (stack.length - 1) / 2) * radius * STACK_OFFSET_RATIO;
+            placements.push({ token, x: cell.center.x + offset, y: cell.center.y - offset, radius });
+        });
+        return placements;
+    }
+
+    /**
+     * Topmost token under a point.
+     *
+     * @param {{x:number,y:number}} point - World-space point.
+     * @param {Array<Object>} placements - Result of getTokenPlacements.
+     * @returns {Object|null} Token, or null when the point misses every token.
+     */
+    function findTokenAtPoint(point, placements) {
+        for (let index = placements.length - 1; index >= 0; index--) {
+            const placement = placements[index];
+            if (Math.hypot(point.x - placement.x, point.y - placement.y) <= placement.radius) {
+                return placement.token;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Outline of a token shape around its center. Circles return an empty
+     * list; callers draw them as arcs.
+     *
+     * @param {string} shape - One of TOKEN_SHAPES.
+     * @param {{x:number,y:number}} center - Token center.
+     * @param {number} radius - Token radius.
+     * @returns {Array<{x:number,y:number}>} Outline points.
+     */
+    function getTokenOutline(shape, center, radius) {
+        if (shape === 'square') {
+            const half = radius * 0.85;
+            return [
+                { x: center.x - half, y: center.y - half },
+                { x: center.x + half, y: center.y - half },
+                { x: center.x + half, y: center.y + half },
+                { x: center.x - half, y: center.y + half }
+            ];
+        }
+        if (shape === 'meeple') {
+            return MEEPLE_OUTLINE.map(([x, y]) => ({ x: center.x + x * radius, y: center.y + y * radius }));
+        }
+        return [];
+    }
+
+    /**
+     * Font size that fits a token's label inside the token.
+     *
+     * @param {number} radius - Token radius.
+     * @param {string} label - Label text.
+     * @returns {number} Font size in world units.
+     */
+    function getTokenFontSize(radius, label) {
+        return Math.min(radius, (1.6 * radius) / (Math.max(1, label.length) * 0.6));
+    }
+
+    global.GeometryTokens = {
+        TOKEN_SHAPES,
+        getTokenPlacements,
+        findTokenAtPoint,
+        getTokenOutline,
+        getTokenFontSize
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,217 @@
+/**
+ * Grid topology: which cells touch each other. Adjacency is derived from the
+ * polygons' shared edges and corners rather than from id formats, so every
+ * grid type and board outline gets the same graph without special cases.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+
+    // Vertices closer than this (in world units) are treated as the same corner.
+    const VERTEX_PRECISION = 100;
+    const graphCache = new WeakMap();
+
+    function getVertexKey(point) {
+        return `${Math.round(point.x * VERTEX_PRECISION)}:${Math.round(point.y * VERTEX_PRECISION)}`;
+    }
+
+    function getEdgeKey(keyA, keyB) {
+        return keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+    }
+
+    /**
+     * Builds (or returns the cached) adjacency graph for a polygon list.
+     *
+     * - `edgeNeighbors`: cells sharing a full edge (4-connectivity on squares).
+     * - `cornerNeighbors`: cells touching only at a corner (the extra diagonals
+     *   of 8-connectivity on squares).
+     * - `edges`: every distinct edge with the one or two cells it borders.
+     * - `vertices`: every distinct corner with the cells that meet there.
+     *
+     * @param {Array<Object>} [polygons] - Polygons to analyse (defaults to the current board).
+     * @returns {{polygonsById:Map, edgeNeighbors:Map<string,string[]>, cornerNeighbors:Map<string,string[]>, edges:Array<Object>, vertices:Array<Object>}}
+     */
+    function getAdjacencyGraph(polygons = helpers.getCurrentPolygons()) {
+        if (graphCache.has(polygons)) {
+            return graphCache.get(polygons);
+        }
+
+        const polygonsById = new Map();
+        const vertexMap = new Map();
+        const edgeMap = new Map();
+
+        polygons.forEach((polygon) => {
+            polygonsById.set(polygon.id, polygon);
+            const keys = polygon.vertices.map(getVertexKey);
+            keys.forEach((key, index) => {
+                if (!vertexMap.has(key)) {
+                    vertexMap.set(key, { key, point: { ...polygon.vertices[index] }, polygonIds: [] });
+                }
+                const vertex = vertexMap.get(key);
+                if (!vertex.polygonIds.includes(polygon.id)) {
+                    vertex.polygonIds.push(polygon.id);
+                }
+            });
+            keys.forEach((key, index) => {
+                const nextIndex = (index + 1) % keys.length;
+                const nextKey = keys[nextIndex];
+                if (key === nextKey) return;
+                const edgeKey = getEdgeKey(key, nextKey);
+                if (!edgeMap.has(edgeKey)) {
+                    edgeMap.set(edgeKey, {
+                        key: edgeKey,
+                        start: { ...polygon.vertices[index] },
+                        end: { ...polygon.vertices[nextIndex] },
+                        polygonIds: []
+                    });
+                }
+                edgeMap.get(edgeKey).polygonIds.push(polygon.id);
+            });
+        });
+
+        const edgeNeighbors = new Map(polygons.map((polygon) => [polygon.id, []]));
+        edgeMap.forEach((edge) => {
+            if (edge.polygonIds.length !== 2) return;
+            const [a, b] = edge.polygonIds;
+            if (!edgeNeighbors.get(a).includes(b)) edgeNeighbors.get(a).push(b);
+            if (!edgeNeighbors.get(b).includes(a)) edgeNeighbors.get(b).push(a);
+        });
+
+        const cornerNeighbors = new Map(polygons.map((polygon) => [polygon.id, []]));
+        vertexMap.forEach((vertex) => {
+            vertex.polygonIds.forEach((id) => {
+                const direct = edgeNeighbors.get(id);
+                const corners = cornerNeighbors.get(id);
+                vertex.polygonIds.forEach((otherId) => {
+                    if (otherId === id || direct.includes(otherId) || corners.includes(otherId)) return;
+                    corners.push(otherId);
+                });
+            });
+        });
+
+        const graph = {
+            polygonsById,
+            edgeNeighbors,
+            cornerNeighbors,
+            edges: Array.from(edgeMap.values()),
+            vertices: Array.from(vertexMap.values())
+        };
+        graphCache.set(polygons, graph);
+        return graph;
+    }
+
+    /**
+     * Returns the polygons adjacent to a cell.
+     *
+     * @param {string} polygonId - Cell to inspect.
+     * @param {Object} [options]
+     * @param {boolean} [options.diagonals=false] - Include cells touching only at a corner
+     *   (8-connectivity for squares).
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<Object>} Neighbouring polygons.
+     */
+    function getNeighbors(polygonId, options = {}) {
+        const graph = getAdjacencyGraph(options.polygons || helpers.getCurrentPolygons());
+        const ids = graph.edgeNeighbors.get(polygonId) || [];
+        const cornerIds = options.diagonals ? graph.cornerNeighbors.get(polygonId) || [] : [];
+        return ids.concat(cornerIds).map((id) => graph.polygonsById.get(id));
+    }
+
+    /**
+     * Collects the contiguous region around a cell whose polygons satisfy a predicate
+     * (breadth-first over shared edges).
+     *
+     * @param {string} startId - Seed cell id; it must satisfy the predicate itself.
+     * @param {Function} predicate - Receives a polygon, returns true to include it.
+     * @param {Object} [options] - Same options as getNeighbors.
+     * @returns {Array<Object>} Polygons in the region, seed first.
+     */
+    function getConnectedRegion(startId, predicate, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const graph = getAdjacencyGraph(polygons);
+        const start = graph.polygonsById.get(startId);
+        if (!start || !predicate(start)) return [];
+
+        const visited = new Set([startId]);
+        const region = [start];
+        for (let index = 0; index < region.length; index++) {
+            const neighbors = getNeighbors(region[index].id, { ...options, polygons });
+            neighbors.forEach((neighbor) => {
+                if (visited.has(neighbor.id)) return;
+                visited.add(neighbor.id);
+                if (predicate(neighbor)) {
+                    region.push(neighbor);
+                }
+            });
+        }
+        return region;
+    }
+
+    /**
+     * Returns every cell within a number of steps of a cell, measured as grid
+     * distance along shared edges (hex distance on hex boards).
+     *
+     * @param {string} startId - Center cell id.
+     * @param {number} steps - Maximum distance; 0 returns just the center cell.
+     * @param {Object} [options] - Same options as getNeighbors.
+     * @returns {Array<Object>} Polygons ordered by distance, center first.
+     */
+    function getCellsWithinSteps(startId, steps, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const graph = getAdjacencyGraph(polygons);
+        const start = graph.polygonsById.get(startId);
+        if (!start) return [];
+
+        const distances = new Map([[startId, 0]]);
+        const result = [start];
+        for (let index = 0; index < result.length; index++) {
+            const current = result[index];
+            const distance = distances.get(current.id);
+            if (distance >= steps) continue;
+            getNeighbors(current.id, { ...options, polygons }).forEach((neighbor) => {
+                if (distances.has(neighbor.id)) return;
+                distances.set(neighbor.id, distance + 1);
+                result.push(neighbor);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Number of steps between two cells along shared edges (or corners too,
+     * with `diagonals`), found breadth-first.
+     *
+     * @param {string} startId - First cell id.
+     * @param {string} endId - Second cell id.
+     * @param {Object} [options] - Same options as getNeighbors.
+     * @returns {number|null} Step count, or null when no path connects the cells.
+     */
+    function getStepDistance(startId, endId, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const graph = getAdjacencyGraph(polygons);
+        if (!graph.polygonsById.has(startId) || !graph.polygonsById.has(endId)) return null;
+
+        const distances = new Map([[startId, 0]]);
+        const queue = [startId];
+        for (let index = 0; index < queue.length; index++) {
+            const currentId = queue[index];
+            const distance = distances.get(currentId);
+            if (currentId === endId) return distance;
+            getNeighbors(currentId, { ...options, polygons }).forEach((neighbor) => {
+                if (distances.has(neighbor.id)) return;
+                distances.set(neighbor.id, distance + 1);
+                queue.push(neighbor.id);
+            });
+        }
+        return null;
+    }
+
+    global.GeometryTopology = {
+        getVertexKey,
+        getEdgeKey,
+        getAdjacencyGraph,
+        getNeighbors,
+        getConnectedRegion,
+        getCellsWithinSteps,
+        getStepDistance
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
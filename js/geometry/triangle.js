@@ -13,8 +13,7 @@
         isPointInPolygon
     } = helpers;
 
-    function buildTriangleGrid(config, canvas, colorMap) {
-        if (!canvas) return [];
+    function buildTriangleGrid(config, colorMap) {
         const baseSize = Math.max(
             1,
             Number.isFinite(config.size) ? Math.floor(config.size) : Config.DEFAULT_BOARD_CONFIG.size
@@ -22,7 +21,7 @@
         const triangleOrientation = config.triangleOrientation === 'point-down' ? 'point-down' : 'point-up';
 
         if (config.boardShape === 'triangle') {
-            return buildTessellatedTriangle(config, canvas, colorMap, baseSize, triangleOrientation);
+            return buildTessellatedTriangle(config, colorMap, baseSize, triangleOrientation);
         }
 
         if (config.boardShape === 'hexagon') {
@@ -31,23 +30,19 @@
                 Number.isFinite(config.radius) ? Math.floor(config.radius) : Config.DEFAULT_BOARD_CONFIG.radius
             );
             const hexOrientation = config.orientation === 'flat-top' ? 'flat-top' : 'pointy-top';
-            return buildHexagonTriangleGrid(config, canvas, colorMap, radius, hexOrientation);
+            return buildHexagonTriangleGrid(config, colorMap, radius, hexOrientation);
         }
 
         // Fallback: retain rectangular tiling when the board outline is not triangular.
         const dims = normalizeBoardDimensions(config);
         const cols = Math.max(2, dims.cols);
         const rows = Math.max(1, dims.rows);
-        const availableWidth = canvas.width - Config.CANVAS_PADDING * 2;
-        const availableHeight = canvas.height - Config.CANVAS_PADDING * 2;
-        const sizeFromWidth = (availableWidth * 2) / (cols + 1);
-        const sizeFromHeight = (availableHeight * 2) / (rows * Math.sqrt(3));
-        const size = Math.max(12, Math.floor(Math.min(sizeFromWidth, sizeFromHeight)));
+        const size = Config.CELL_SIZE;
         const triangleHeight = (Math.sqrt(3) / 2) * size;
         const boardWidth = (cols * size) / 2 + size / 2;
         const boardHeight = rows * triangleHeight;
-        const offsetX = (canvas.width - boardWidth) / 2;
-        const offsetY = (canvas.height - boardHeight) / 2;
+        const offsetX = 0;
+        const offsetY = 0;
         const boardMetrics = createBoardMetrics(offsetX, offsetY, boardWidth, boardHeight, config);
 
         const polygons = [];
@@ -74,6 +69,7 @@
                     createPolygon({
                         id,
                         type: 'triangle',
+                        cell: { row, col, up: pointingUp },
                         center,
                         vertices,
                         color: colorMap?.get(id),
@@ -85,33 +81,24 @@
         return polygons;
     }
 
-    function buildHexagonTriangleGrid(config, canvas, colorMap, radius, orientation) {
-        if (!canvas) return [];
-
+    function buildHexagonTriangleGrid(config, colorMap, radius, orientation) {
         const rings = Math.max(
             1,
             Number.isFinite(radius) ? Math.floor(radius) : Config.DEFAULT_BOARD_CONFIG.radius
         );
         const hexOrientation = orientation === 'flat-top' ? 'flat-top' : 'pointy-top';
 
-        const availableWidth = canvas.width - Config.CANVAS_PADDING * 2;
-        const availableHeight = canvas.height - Config.CANVAS_PADDING * 2;
-
         const hexWidthUnit = hexOrientation === 'pointy-top' ? Math.sqrt(3) : 2;
         const hexHeightUnit = hexOrientation === 'pointy-top' ? 2 : Math.sqrt(3);
 
-        const maxHexSize = Math.max(
-            8,
-            Math.floor(Math.min(availableWidth / hexWidthUnit, availableHeight / hexHeightUnit))
-        );
-        const triangleSize = Math.max(8, Math.floor(maxHexSize / rings));
-        const size = triangleSize * rings; // actual hex radius after snapping to triangle grid
+        const triangleSize = Config.CELL_SIZE;
+        const size = triangleSize * rings; // hex radius snapped to the triangle lattice
         const triangleHeight = (Math.sqrt(3) / 2) * triangleSize;
 
         const hexWidth = hexWidthUnit * size;
         const hexHeight = hexHeightUnit * size;
-        const offsetX = (canvas.width - hexWidth) / 2;
-        const offsetY = (canvas.height - hexHeight) / 2;
+        const offsetX = 0;
+        const offsetY = 0;
         const hexCenter = { x: offsetX + hexWidth / 2, y: offsetY + hexHeight / 2 };
         const hexOutline = createHexVertices(hexCenter, size, hexOrientation);
 
@@ -150,6 +137,7 @@
                     createPolygon({
                         id,
                         type: 'triangle',
+                        cell: { row, col, up: pointingUp },
                         center,
                         vertices,
                         color: colorMap?.get(id),
@@ -162,17 +150,13 @@
         return polygons;
     }
 
-    function buildTessellatedTriangle(config, canvas, colorMap, baseSize, triangleOrientation) {
-        const availableWidth = canvas.width - Config.CANVAS_PADDING * 2;
-        const availableHeight = canvas.height - Config.CANVAS_PADDING * 2;
-        const sizeFromWidth = availableWidth / baseSize;
-        const sizeFromHeight = (availableHeight * 2) / (Math.sqrt(3) * baseSize);
-        const size = Math.max(12, Math.floor(Math.min(sizeFromWidth, sizeFromHeight)));
+    function buildTessellatedTriangle(config, colorMap, baseSize, triangleOrientation) {
+        const size = Config.CELL_SIZE;
         const triangleHeight = (Math.sqrt(3) / 2) * size;
         const boardWidth = baseSize * size;
         const boardHeight = baseSize * triangleHeight;
-        const offsetX = (canvas.width - boardWidth) / 2;
-        const offsetY = (canvas.height - boardHeight) / 2;
+        const offsetX = 0;
+        const offsetY = 0;
         const polygons = [];
 
         for (let row = 0; row < baseSize; row++) {
@@ -197,6 +181,7 @@
                     createPolygon({
                         id,
                         type: 'triangle',
+                        cell: { row, col, up: pointingUp },
                         center,
                         vertices,
                         color: colorMap?.get(id),
@@ -0,0 +1,141 @@
+/**
+ * Vertex layer geometry for pieces placed on cell corners (settlements,
+ * route nodes). Corners shared by several cells are merged into one vertex
+ * whose id is its rounded world position, so a marker keeps its id while
+ * cells around it are removed or added. Save/load and regenerating the same
+ * lattice carry markers over through one of the vertex's cell corners.
+ */
+(function (global) {
+    const helpers = global.GeometryHelpers;
+    const topology = global.GeometryTopology;
+
+    /**
+     * Marker shapes that can be stamped onto a vertex.
+     */
+    const MARKER_SHAPES = ['circle', 'square', 'triangle', 'diamond'];
+    const indexCache = new WeakMap();
+
+    function getCornerId(polygonId, corner) {
+        return `${polygonId}:${corner}`;
+    }
+
+    /**
+     * Cell corners that meet at a vertex.
+     *
+     * @param {string} vertexId - Vertex id.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Array<{polygonId:string, corner:number}>} Cell ids and corner indices (empty when
+     *   no cell of the list has a corner there).
+     */
+    function getVertexCorners(vertexId, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        return getVertexIndex(polygons).vertices.get(vertexId)?.corners || [];
+    }
+
+    /**
+     * Merges coinciding cell corners into vertices (cached per polygon list).
+     * Vertices are named after their position, so the id does not depend on
+     * which cells of the grid are in the list.
+     */
+    function getVertexIndex(polygons) {
+        if (indexCache.has(polygons)) {
+            return indexCache.get(polygons);
+        }
+        const byKey = new Map();
+        const keysByCorner = new Map();
+        polygons.forEach((polygon) => {
+            polygon.vertices.forEach((point, corner) => {
+                const key = topology.getVertexKey(point);
+                const cornerId = getCornerId(polygon.id, corner);
+                if (!byKey.has(key)) {
+                    byKey.set(key, { id: key, point: { ...point }, polygonIds: [], corners: [] });
+                }
+                const vertex = byKey.get(key);
+                if (!vertex.polygonIds.includes(polygon.id)) vertex.polygonIds.push(polygon.id);
+                vertex.corners.push({ polygonId: polygon.id, corner });
+                keysByCorner.set(cornerId, key);
+            });
+        });
+        const index = { vertices: byKey, idsByCorner: keysByCorner };
+        indexCache.set(polygons, index);
+        return index;
+    }
+
+    /**
+     * Every distinct corner of a polygon list, board outline included.
+     *
+     * @param {Array<Object>} [polygons] - Polygon list (defaults to the current board).
+     * @returns {Map<string,{id:string,point:Object,polygonIds:Array<string>,corners:Array<Object>}>}
+     *   Vertices by id.
+     */
+    function getVertices(polygons = helpers.getCurrentPolygons()) {
+        return getVertexIndex(polygons).vertices;
+    }
+
+    /**
+     * Id of the vertex at a cell corner.
+     *
+     * @param {string} polygonId - Cell id.
+     * @param {number} corner - Index into the cell's vertices.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {string|null} Vertex id, or null when the cell or corner does not exist.
+     */
+    function resolveVertexId(polygonId, corner, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        return getVertexIndex(polygons).idsByCorner.get(getCornerId(polygonId, corner)) || null;
+    }
+
+    /**
+     * Snaps a point to the closest corner of the cell under it.
+     *
+     * @param {{x:number,y:number}} point - World-space point.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.polygons] - Polygon list (defaults to the current board).
+     * @returns {Object|null} Vertex from getVertices, or null off the board.
+     */
+    function findNearestVertex(point, options = {}) {
+        const polygons = options.polygons || helpers.getCurrentPolygons();
+        const polygon = helpers.findPolygonAtPoint(point, polygons);
+        if (!polygon) return null;
+        let nearest = 0;
+        polygon.vertices.forEach((vertex, corner) => {
+            const best = polygon.vertices[nearest];
+            if (Math.hypot(vertex.x - point.x, vertex.y - point.y) < Math.hypot(best.x - point.x, best.y - point.y)) {
+                nearest = corner;
+            }
+        });
+        const { vertices, idsByCorner } = getVertexIndex(polygons);
+        return vertices.get(idsByCorner.get(getCornerId(polygon.id, nearest))) || null;
+    }
+
+    /**
+     * Outline of a marker shape centered on a point. Circles have no corners
+     * and return an empty list; callers draw them as arcs.
+     *
+     * @param {string} shape - One of MARKER_SHAPES.
+     * @param {{x:number,y:number}} center - Marker center.
+     * @param {number} radius - Distance from the center to the outline's corners.
+     * @returns {Array<{x:number,y:number}>} Outline points.
+     */
+    function getMarkerOutline(shape, center, radius) {
+        const corners = { square: 4, triangle: 3, diamond: 4 }[shape];
+        if (!corners) return [];
+        // Squares sit flat on their base; triangles and diamonds point up.
+        const startAngle = shape === 'square' ? -Math.PI * 0.75 : -Math.PI / 2;
+        return Array.from({ length: corners }, (_, index) => {
+            const angle = startAngle + (index * Math.PI * 2) / corners;
+            return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+        });
+    }
+
+    global.GeometryVertices = {
+        MARKER_SHAPES,
+        getVertexCorners,
+        getVertices,
+        resolveVertexId,
+        findNearestVertex,
+        getMarkerOutline
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
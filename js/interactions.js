@@ -7,16 +7,53 @@
  */
 const Interactions = (() => {
     let ui = null;
-    // Ensures move events are processed at most ~60fps for smooth brushing.
-    const MOVE_THROTTLE_MS = 16;
-    let lastMoveTimestamp = 0;
+    // Converts wheel delta into a zoom factor; small enough for trackpads, brisk for mouse wheels.
+    const WHEEL_ZOOM_SENSITIVITY = 0.0015;
+    // Tools that paint a previewed shape between the press and release cells.
+    const SHAPE_TOOLS = ['line', 'rect', 'range'];
+    // Marquee drags shorter than this (screen pixels) count as clicks.
+    const CLICK_TOLERANCE_PX = 4;
+    // World-space position of the previous stroke sample, joined to the next one.
+    let lastStrokePoint = null;
+    let renderFrameId = null;
+    // Cell where the current shape-tool drag started.
+    let shapeStartId = null;
+    // Active selection-tool gesture: a marquee or a move of the selected cells.
+    let selectionDrag = null;
+    // Active sculpt drag: whether it removes or restores cells, and whether any changed.
+    let sculptDrag = null;
+    // True while a ruler line is being dragged out.
+    let isMeasuring = false;
+    // Active edge-tool drag: whether any edge changed.
+    let edgeDrag = null;
+    // Active icon-tool drag: whether any cell's icon changed.
+    let iconDrag = null;
+    // Token being dragged, whether it changed cells and whether the pointer is off the board.
+    let tokenDrag = null;
+    // Annotation being dragged, the grab offset from its center and whether it moved.
+    let annotationDrag = null;
+    // True while the opacity slider has changed the active layer since its last commit.
+    let layerOpacityChanged = false;
+    // True while the board shows a terrain draft that has not been applied.
+    let terrainPreviewActive = false;
+    // True while the distribution dialog is open; its latest roll by cell id.
+    let distributionOpen = false;
+    let distributionColors = new Map();
+    let lastPanPoint = null;
+    let isSpacePressed = false;
 
     function init(uiRefs) {
         ui = uiRefs;
         bindPointerEvents();
         bindPaletteEvents();
+        bindToolEvents();
         bindBoardControls();
         bindActionButtons();
+        bindViewControls();
+        bindSelectionControls();
+        bindLayerControls();
+        bindTerrainControls();
+        bindDistributionControls();
     }
 
     function bindPointerEvents() {
@@ -27,99 +64,1598 @@ const Interactions = (() => {
         canvas.addEventListener('pointerup', handlePointerUp);
         canvas.addEventListener('pointerleave', handlePointerCancel);
         canvas.addEventListener('pointercancel', handlePointerCancel);
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        // Middle-button drags pan the view; keep the browser's autoscroll out of the way.
+        canvas.addEventListener('mousedown', (event) => {
+            if (event.button === 1) event.preventDefault();
+        });
+    }
+
+    function bindPaletteEvents() {
+        const paletteGrid = ui?.paletteGrid;
+        paletteGrid?.addEventListener('click', (event) => {
+            const button = event.target.closest('.palette-swatch');
+            if (!button || !paletteGrid.contains(button)) return;
+            handleColorSelect(button);
+        });
+
+        const paletteSelect = ui?.paletteSelect;
+        paletteSelect?.addEventListener('change', () => handlePaletteChange(paletteSelect.value));
+
+        const recentColorsGrid = ui?.recentColorsGrid;
+        recentColorsGrid?.addEventListener('click', (event) => {
+            const button = event.target.closest('.recent-swatch');
+            if (!button) return;
+            handleColorSelect(button);
+        });
+
+        const eraserButton = ui?.eraserButton;
+        eraserButton?.addEventListener('click', handleEraserSelect);
+    }
+
+    function bindToolEvents() {
+        ui?.toolButtons?.forEach((button) => {
+            button.addEventListener('click', () => handleToolSelect(button.dataset.tool));
+        });
+        ui?.fillAllToggle?.addEventListener('change', () => {
+            AppState.setFillAllMatching(ui.fillAllToggle.checked);
+        });
+        ui?.symmetrySelect?.addEventListener('change', () => {
+            AppState.setSymmetryMode(ui.symmetrySelect.value);
+            Renderer.renderBoard();
+        });
+        ui?.shapeOutlineToggle?.addEventListener('change', () => {
+            AppState.setShapeOutline(ui.shapeOutlineToggle.checked);
+        });
+        ui?.rulerModeSelect?.addEventListener('change', () => {
+            AppState.setRulerMode(ui.rulerModeSelect.value);
+            AppState.setMeasurement(null);
+            UI?.applyRulerMode(AppState.getState().rulerMode);
+            Renderer.renderBoard();
+        });
+        ui?.rulerRangeInput?.addEventListener('change', () => {
+            AppState.setRulerRange(ui.rulerRangeInput.value);
+            ui.rulerRangeInput.value = AppState.getState().rulerRange;
+            refreshMeasurement();
+        });
+        ui?.distanceMetricSelect?.addEventListener('change', () => {
+            AppState.setDistanceMetric(ui.distanceMetricSelect.value);
+            refreshMeasurement();
+        });
+        ui?.edgeWidthSelect?.addEventListener('change', () => {
+            AppState.setEdgeWidth(ui.edgeWidthSelect.value);
+            Renderer.renderBoard();
+        });
+        ui?.edgeDashSelect?.addEventListener('change', () => {
+            AppState.setEdgeDash(ui.edgeDashSelect.value);
+        });
+        ui?.iconSelect?.addEventListener('change', () => {
+            AppState.setIconName(ui.iconSelect.value);
+            UI?.applyIconName(AppState.getState().iconName);
+        });
+        ui?.iconNumberInput?.addEventListener('change', () => {
+            AppState.setIconNumber(ui.iconNumberInput.value);
+            ui.iconNumberInput.value = AppState.getState().iconNumber;
+        });
+        ui?.markerShapeSelect?.addEventListener('change', () => {
+            AppState.setMarkerShape(ui.markerShapeSelect.value);
+        });
+        ui?.tokenShapeSelect?.addEventListener('change', () => {
+            AppState.setTokenShape(ui.tokenShapeSelect.value);
+        });
+        ui?.tokenLabelInput?.addEventListener('input', () => {
+            AppState.setTokenLabel(ui.tokenLabelInput.value);
+        });
+        ui?.exportTokensToggle?.addEventListener('change', () => {
+            AppState.setExportTokens(ui.exportTokensToggle.checked);
+        });
+        // Text edits show up while typing and become one undo step when the field is committed.
+        ui?.annotationTextInput?.addEventListener('input', () => {
+            AppState.setAnnotationText(ui.annotationTextInput.value);
+            editSelectedAnnotation({ text: AppState.getState().annotationText }, false);
+        });
+        ui?.annotationTextInput?.addEventListener('change', () => {
+            if (!AppState.getState().annotationText.trim()) {
+                AppState.setAnnotationText(Config.DEFAULT_ANNOTATION_TEXT);
+                deleteSelectedAnnotation();
+                return;
+            }
+            editSelectedAnnotation({}, true);
+        });
+        ui?.annotationFontSizeInput?.addEventListener('change', () => {
+            AppState.setAnnotationFontSize(ui.annotationFontSizeInput.value);
+            ui.annotationFontSizeInput.value = AppState.getState().annotationFontSize;
+            editSelectedAnnotation({ fontSize: AppState.getState().annotationFontSize }, true);
+        });
+        ui?.annotationRotationInput?.addEventListener('change', () => {
+            AppState.setAnnotationRotation(ui.annotationRotationInput.value);
+            ui.annotationRotationInput.value = AppState.getState().annotationRotation;
+            editSelectedAnnotation({ rotation: AppState.getState().annotationRotation }, true);
+        });
+        ui?.anchorAnnotationsToggle?.addEventListener('change', () => {
+            AppState.setAnchorAnnotations(ui.anchorAnnotationsToggle.checked);
+        });
+        ui?.deleteAnnotationButton?.addEventListener('click', deleteSelectedAnnotation);
+        ui?.brushSizeInput?.addEventListener('change', () => {
+            AppState.setBrushSize(ui.brushSizeInput.value);
+            ui.brushSizeInput.value = AppState.getState().brushSize;
+            Renderer.renderBoard();
+        });
+    }
+
+    function bindBoardControls() {
+        ui?.generateButton?.addEventListener('click', handleBoardGeneration);
+    }
+
+    function bindActionButtons() {
+        ui?.undoButton?.addEventListener('click', handleUndo);
+        ui?.redoButton?.addEventListener('click', handleRedo);
+        ui?.clearButton?.addEventListener('click', handleClearBoard);
+        ui?.restoreMaskedButton?.addEventListener('click', handleRestoreMaskedCells);
+    }
+
+    function bindViewControls() {
+        ui?.zoomInButton?.addEventListener('click', () => Renderer.zoomBy(Config.ZOOM_STEP));
+        ui?.zoomOutButton?.addEventListener('click', () => Renderer.zoomBy(1 / Config.ZOOM_STEP));
+        ui?.zoomFitButton?.addEventListener('click', () => Renderer.fitToBoard());
+        ui?.panButton?.addEventListener('click', () => {
+            setPanMode(!AppState.getState().isPanModeActive);
+        });
+        ui?.coordinateNotationSelect?.addEventListener('change', () => {
+            AppState.setCoordinateNotation(ui.coordinateNotationSelect.value);
+            Renderer.renderBoard();
+        });
+        ui?.showCoordinatesToggle?.addEventListener('change', () => {
+            AppState.setShowCoordinates(ui.showCoordinatesToggle.checked);
+            Renderer.renderBoard();
+        });
+        ui?.exportCoordinatesToggle?.addEventListener('change', () => {
+            AppState.setExportCoordinates(ui.exportCoordinatesToggle.checked);
+        });
+
+        // Holding Space temporarily turns any drag into a pan, as in most drawing tools.
+        window.addEventListener('keydown', (event) => {
+            if (event.code !== 'Space' || isEditableTarget(event.target)) return;
+            event.preventDefault();
+            if (!isSpacePressed) {
+                isSpacePressed = true;
+                updateCanvasCursor();
+            }
+        });
+        window.addEventListener('keyup', (event) => {
+            if (event.code !== 'Space') return;
+            isSpacePressed = false;
+            updateCanvasCursor();
+        });
+    }
+
+    function bindSelectionControls() {
+        ui?.copySelectionButton?.addEventListener('click', handleCopy);
+        ui?.cutSelectionButton?.addEventListener('click', handleCut);
+        ui?.pasteSelectionButton?.addEventListener('click', handlePaste);
+        ui?.clearSelectionButton?.addEventListener('click', clearSelection);
+
+        window.addEventListener('keydown', (event) => {
+            if (isEditableTarget(event.target)) return;
+            if (event.key === 'Escape') {
+                closeDistribution();
+                clearSelection();
+                clearMeasurement();
+                selectAnnotation(null);
+                return;
+            }
+            if ((event.key === 'Delete' || event.key === 'Backspace') && AppState.getState().activeTool === 'text') {
+                event.preventDefault();
+                deleteSelectedAnnotation();
+                return;
+            }
+            if (!(event.ctrlKey || event.metaKey)) return;
+            const key = event.key.toLowerCase();
+            const handlers = { c: handleCopy, x: handleCut, v: handlePaste };
+            if (!handlers[key] || (key !== 'v' && !AppState.getState().selectedIds.length)) return;
+            event.preventDefault();
+            handlers[key]();
+        });
+    }
+
+    function bindLayerControls() {
+        ui?.layerList?.addEventListener('click', (event) => {
+            const row = event.target.closest('[data-layer-id]');
+            if (!row || !event.target.closest('.layer-select')) return;
+            if (AppState.setActiveLayer(row.dataset.layerId)) {
+                syncLayerControls();
+                Renderer.renderBoard();
+            }
+        });
+        ui?.layerList?.addEventListener('change', (event) => {
+            const row = event.target.closest('[data-layer-id]');
+            const setting = event.target.dataset.layerSetting;
+            if (!row || !setting) return;
+            commitLayerChange(AppState.updateLayer(row.dataset.layerId, { [setting]: event.target.checked }));
+        });
+        ui?.addLayerButton?.addEventListener('click', () => {
+            AppState.addLayer(`Layer ${AppState.getState().layers.length + 1}`);
+            commitLayerChange(true);
+        });
+        ui?.removeLayerButton?.addEventListener('click', () => {
+            commitLayerChange(AppState.removeLayer(AppState.getState().activeLayerId));
+        });
+        ui?.moveLayerUpButton?.addEventListener('click', () => {
+            commitLayerChange(AppState.moveLayer(AppState.getState().activeLayerId, 1));
+        });
+        ui?.moveLayerDownButton?.addEventListener('click', () => {
+            commitLayerChange(AppState.moveLayer(AppState.getState().activeLayerId, -1));
+        });
+        ui?.layerNameInput?.addEventListener('change', () => {
+            const name = ui.layerNameInput.value;
+            commitLayerChange(AppState.updateLayer(AppState.getState().activeLayerId, { name }));
+        });
+        // The board follows the slider while it moves; releasing it records one undo step.
+        ui?.layerOpacityInput?.addEventListener('input', () => {
+            const opacity = Number(ui.layerOpacityInput.value) / 100;
+            if (AppState.updateLayer(AppState.getState().activeLayerId, { opacity })) {
+                layerOpacityChanged = true;
+                requestRender();
+            }
+            if (ui.layerOpacityValue) ui.layerOpacityValue.textContent = `${ui.layerOpacityInput.value}%`;
+        });
+        ui?.layerOpacityInput?.addEventListener('change', () => {
+            commitLayerChange(layerOpacityChanged);
+            layerOpacityChanged = false;
+        });
+    }
+
+    function bindTerrainControls() {
+        ui?.terrainSeedInput?.addEventListener('change', () => {
+            AppState.setTerrainSeed(ui.terrainSeedInput.value);
+            ui.terrainSeedInput.value = AppState.getState().terrainSeed;
+            refreshTerrainPreview();
+        });
+        ui?.newTerrainSeedButton?.addEventListener('click', () => {
+            AppState.setTerrainSeed(Utils.generateSeed());
+            if (ui.terrainSeedInput) ui.terrainSeedInput.value = AppState.getState().terrainSeed;
+            refreshTerrainPreview();
+        });
+        ui?.terrainScaleInput?.addEventListener('change', () => {
+            AppState.setTerrainScale(ui.terrainScaleInput.value);
+            ui.terrainScaleInput.value = AppState.getState().terrainScale;
+            refreshTerrainPreview();
+        });
+        ui?.terrainBands?.addEventListener('change', (event) => {
+            const label = event.target.dataset.terrainLabel;
+            if (!label) return;
+            AppState.setTerrainThreshold(getActivePalette().id, label, Number(event.target.value) / 100);
+            // Re-render so thresholds pushed up by a lower band show their effective value.
+            UI?.renderTerrainBands(getTerrainBands());
+            refreshTerrainPreview();
+        });
+        ui?.generateTerrainButton?.addEventListener('click', previewTerrain);
+        ui?.applyTerrainButton?.addEventListener('click', applyTerrain);
+        ui?.discardTerrainButton?.addEventListener('click', discardTerrainPreview);
+    }
+
+    function getActivePalette() {
+        return Config.getPaletteById(AppState.getState().currentPaletteId) || Config.getDefaultPalette();
+    }
+
+    function getTerrainBands() {
+        const palette = getActivePalette();
+        return Geometry.getTerrainBands(palette, AppState.getState().terrainThresholds[palette.id]);
+    }
+
+    function getTerrainColors() {
+        const { terrainSeed, terrainScale } = AppState.getState();
+        return Geometry.getTerrainColors(getTerrainBands(), { seed: terrainSeed, scale: terrainScale });
+    }
+
+    /**
+     * Shows a terrain draft for the active palette over the board. The draft
+     * follows the terrain settings until it is applied or discarded.
+     */
+    function previewTerrain() {
+        if (!AppState.getState().polygons.length || isActiveLayerLocked()) return;
+        closeDistribution();
+        terrainPreviewActive = true;
+        AppState.setPaintPreview(getTerrainColors());
+        UI?.setTerrainPreviewActive(true);
+        Renderer.renderBoard();
+    }
+
+    function refreshTerrainPreview() {
+        if (!terrainPreviewActive) return;
+        AppState.setPaintPreview(getTerrainColors());
+        Renderer.renderBoard();
+    }
+
+    /**
+     * Paints the previewed terrain onto the active layer as one undo step.
+     */
+    function applyTerrain() {
+        if (!terrainPreviewActive || isActiveLayerLocked()) return;
+        terrainPreviewActive = false;
+        UI?.setTerrainPreviewActive(false);
+        // Recomputed so the result matches the current board and settings.
+        AppState.setPaintPreview(getTerrainColors());
+        commitPaintPreview();
+    }
+
+    function discardTerrainPreview() {
+        if (!terrainPreviewActive) return;
+        terrainPreviewActive = false;
+        UI?.setTerrainPreviewActive(false);
+        AppState.setPaintPreview(null);
+        Renderer.renderBoard();
+    }
+
+    function bindDistributionControls() {
+        ui?.openDistributionButton?.addEventListener('click', openDistribution);
+        ui?.distributionRows?.addEventListener('change', (event) => {
+            const { distributionColor, distributionSpread } = event.target.dataset;
+            if (distributionColor) {
+                AppState.setDistributionCount(distributionColor, event.target.value);
+                event.target.value = AppState.getState().distributionCounts[distributionColor];
+            } else if (distributionSpread) {
+                AppState.setDistributionSpread(distributionSpread, event.target.checked);
+            } else {
+                return;
+            }
+            rollDistribution();
+        });
+        ui?.distributionTargetSelect?.addEventListener('change', () => {
+            AppState.setDistributionTarget(ui.distributionTargetSelect.value);
+            rollDistribution();
+        });
+        ui?.distributionBorderSelect?.addEventListener('change', () => {
+            AppState.setDistributionBorderColor(ui.distributionBorderSelect.value || null);
+            rollDistribution();
+        });
+        ui?.distributionSeedInput?.addEventListener('change', () => {
+            AppState.setDistributionSeed(ui.distributionSeedInput.value);
+            ui.distributionSeedInput.value = AppState.getState().distributionSeed;
+            rollDistribution();
+        });
+        ui?.rerollDistributionButton?.addEventListener('click', () => {
+            AppState.setDistributionSeed(Utils.generateSeed());
+            if (ui.distributionSeedInput) ui.distributionSeedInput.value = AppState.getState().distributionSeed;
+            rollDistribution();
+        });
+        ui?.unlockDistributionButton?.addEventListener('click', () => {
+            AppState.setDistributionLockedIds([]);
+            Renderer.renderBoard();
+        });
+        ui?.cancelDistributionButton?.addEventListener('click', closeDistribution);
+        ui?.applyDistributionButton?.addEventListener('click', applyDistribution);
+    }
+
+    /**
+     * Opens the distribution dialog and previews a first roll. It fills the
+     * selection when there is one and the empty cells otherwise.
+     */
+    function openDistribution() {
+        const state = AppState.getState();
+        if (!state.polygons.length || isActiveLayerLocked()) return;
+        discardTerrainPreview();
+        distributionOpen = true;
+        distributionColors = new Map();
+        AppState.setDistributionLockedIds([]);
+        AppState.setDistributionTarget(state.selectedIds.length ? 'selected' : 'empty');
+        UI?.openDistributionDialog(getActivePalette(), state);
+        syncDistributionBorder();
+        rollDistribution();
+    }
+
+    // Palettes without the chosen border swatch fall back to distributing border cells.
+    function syncDistributionBorder() {
+        if (ui?.distributionBorderSelect) {
+            AppState.setDistributionBorderColor(ui.distributionBorderSelect.value || null);
+        }
+    }
+
+    function getDistributionCellIds() {
+        const state = AppState.getState();
+        if (state.distributionTarget === 'selected') {
+            const { polygonsById } = Geometry.getAdjacencyGraph(state.polygons);
+            return state.selectedIds.filter((id) => polygonsById.has(id));
+        }
+        const colors = AppState.getLayerColors(state.activeLayerId);
+        return state.polygons.filter((polygon) => !colors.has(polygon.id)).map((polygon) => polygon.id);
+    }
+
+    /**
+     * Shuffles the tile counts over the target cells and previews the
+     * result. Border cells take the border swatch when one is chosen and
+     * locked cells keep the tile of the previous roll (and use up one of
+     * its count).
+     */
+    function rollDistribution() {
+        if (!distributionOpen) return;
+        const state = AppState.getState();
+        const cellIds = getDistributionCellIds();
+        const borderColor = state.distributionBorderColor;
+        const borderIds = borderColor ? Geometry.getBorderCellIds(state.polygons) : new Set();
+        const lockedIds = new Set(state.distributionLockedIds);
+        const tiles = getActivePalette().colors.map((swatch) => {
+            const color = swatch.hex.toLowerCase();
+            const count = state.distributionCounts[color] || 0;
+            return { color, count, spread: state.distributionSpread.includes(color) };
+        });
+
+        const rolled = new Map();
+        const free = [];
+        cellIds.forEach((id) => {
+            if (borderIds.has(id)) {
+                rolled.set(id, borderColor);
+            } else if (lockedIds.has(id)) {
+                const color = distributionColors.get(id);
+                const tile = tiles.find((entry) => entry.color === color);
+                if (color) rolled.set(id, color);
+                if (tile) tile.count = Math.max(0, tile.count - 1);
+            } else {
+                free.push(id);
+            }
+        });
+        // Spread tiles also stay clear of the cells around the distribution.
+        const painted = AppState.getLayerColors(state.activeLayerId);
+        const colors = new Map(Array.from(painted, ([id, color]) => [id, normalizeColor(color)]));
+        free.forEach((id) => colors.delete(id));
+        rolled.forEach((color, id) => colors.set(id, color));
+
+        const total = tiles.reduce((sum, tile) => sum + tile.count, 0);
+        const placed = Geometry.distributeTiles(
+            free,
+            tiles.filter((tile) => tile.count),
+            { seed: state.distributionSeed, colors }
+        );
+        if (!placed) {
+            AppState.setPaintPreview(null);
+            UI?.setDistributionStatus(
+                total > free.length
+                    ? `${total} tiles do not fit on ${free.length} free cell(s)`
+                    : 'Tiles marked Apart cannot be kept apart; try another seed or fewer tiles'
+            );
+            Renderer.renderBoard();
+            return;
+        }
+        placed.forEach((color, id) => rolled.set(id, color));
+        distributionColors = rolled;
+        AppState.setPaintPreview(rolled.size ? Array.from(rolled, ([id, color]) => ({ id, color })) : null);
+        UI?.setDistributionStatus(`Placed ${placed.size} tile(s) on ${free.length} free cell(s)`);
+        Renderer.renderBoard();
+    }
+
+    function toggleDistributionLock(polygon) {
+        if (!polygon) return;
+        const ids = AppState.getState().distributionLockedIds;
+        AppState.setDistributionLockedIds(
+            ids.includes(polygon.id) ? ids.filter((id) => id !== polygon.id) : ids.concat(polygon.id)
+        );
+        Renderer.renderBoard();
+    }
+
+    /**
+     * Paints the previewed distribution onto the active layer as one undo
+     * step and closes the dialog.
+     */
+    function applyDistribution() {
+        if (!distributionOpen || isActiveLayerLocked()) return;
+        distributionOpen = false;
+        distributionColors = new Map();
+        AppState.setDistributionLockedIds([]);
+        UI?.closeDistributionDialog();
+        commitPaintPreview();
+    }
+
+    function closeDistribution() {
+        if (!distributionOpen) return;
+        distributionOpen = false;
+        distributionColors = new Map();
+        AppState.setDistributionLockedIds([]);
+        AppState.setPaintPreview(null);
+        UI?.closeDistributionDialog();
+        Renderer.renderBoard();
+    }
+
+    function refreshDistribution() {
+        if (!distributionOpen) return;
+        UI?.renderDistributionRows(getActivePalette(), AppState.getState());
+        syncDistributionBorder();
+        rollDistribution();
+    }
+
+    function syncLayerControls() {
+        const { layers, activeLayerId } = AppState.getState();
+        UI?.renderLayers(layers, activeLayerId);
+    }
+
+    /**
+     * Refreshes the layer panel and, when a layer changed, records the change
+     * as one undo step.
+     *
+     * @param {boolean} changed - Whether the layer stack changed.
+     */
+    function commitLayerChange(changed) {
+        syncLayerControls();
+        if (!changed) return;
+        Renderer.renderBoard();
+        AppState.recordHistory();
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
+    }
+
+    /**
+     * Tells the user when the active layer is locked, so gestures that would
+     * repaint it can bail out.
+     *
+     * @returns {boolean} True when the active layer is locked.
+     */
+    function isActiveLayerLocked() {
+        const { layers, activeLayerId } = AppState.getState();
+        const locked = Boolean(layers.find((layer) => layer.id === activeLayerId)?.locked);
+        if (locked) {
+            UI?.showNotification('The active layer is locked');
+        }
+        return locked;
+    }
+
+    function isEditableTarget(target) {
+        if (!target) return false;
+        return target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(target.tagName);
+    }
+
+    /**
+     * Enables or disables the pan tool and refreshes the related UI.
+     *
+     * @param {boolean} active - Whether dragging should pan the view.
+     */
+    function setPanMode(active) {
+        AppState.setPanModeActive(active);
+        UI?.setPanModeActive(active);
+        updateCanvasCursor();
+    }
+
+    function updateCanvasCursor() {
+        const canvas = ui?.canvas;
+        if (!canvas) return;
+        const state = AppState.getState();
+        canvas.classList.toggle('pan-ready', state.isPanModeActive || isSpacePressed);
+        canvas.classList.toggle('panning', state.isPanning);
+        canvas.classList.toggle('picking', state.activeTool === 'eyedropper');
+    }
+
+    /**
+     * Pan drags start from the pan tool, the middle mouse button, or Space + drag.
+     *
+     * @param {PointerEvent} event - Pointer down event.
+     * @returns {boolean} True when the gesture should pan instead of paint.
+     */
+    function shouldStartPan(event) {
+        return AppState.getState().isPanModeActive || isSpacePressed || event.button === 1;
+    }
+
+    /**
+     * Zooms toward the cursor on mouse wheel / trackpad scroll.
+     *
+     * @param {WheelEvent} event - Wheel event.
+     */
+    function handleWheel(event) {
+        if (!AppState.getState().polygons.length) return;
+        event.preventDefault();
+        const factor = Math.exp(-event.deltaY * WHEEL_ZOOM_SENSITIVITY);
+        Renderer.zoomAt(getScreenCoordinates(event), factor);
+    }
+
+    function handleColorSelect(button) {
+        const color =
+            button.dataset.color ||
+            getComputedStyle(button).getPropertyValue('--swatch-color').trim();
+        AppState.setCurrentColor(color);
+        AppState.setEraserActive(false);
+        UI?.setPaletteSelection(button);
+        UI?.setEraserActive(false);
+        if (AppState.getState().activeTool === 'text') {
+            editSelectedAnnotation({ color }, true);
+        }
+    }
+
+    /**
+     * Switches to a different palette, preserving the current color when
+     * available inside the new palette; otherwise selects the first swatch.
+     *
+     * @param {string} paletteId - Requested palette id.
+     */
+    function handlePaletteChange(paletteId) {
+        const palette = Config.getPaletteById(paletteId) || Config.getDefaultPalette();
+        const state = AppState.getState();
+        const currentColor = state.currentColor;
+        const resolved = UI.renderColorPalette(palette.id, currentColor);
+
+        AppState.setEraserActive(false);
+        AppState.setCurrentPaletteId(palette.id);
+        AppState.setCurrentColor(resolved.color);
+        UI.setPaletteByColor(resolved.color);
+        UI.setEraserActive(false);
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
+        refreshTerrainPreview();
+        refreshDistribution();
+    }
+
+    /**
+     * Activates the eraser tool and deselects any palette swatches.
+     */
+    function handleEraserSelect() {
+        AppState.setEraserActive(true);
+        UI?.setEraserActive(true);
+    }
+
+    /**
+     * Activates a painting tool. The eraser stays a color mode, so erasing
+     * works with every tool (e.g., bucket + eraser clears a region).
+     *
+     * @param {string} tool - Tool identifier from the button's data-tool.
+     */
+    function handleToolSelect(tool) {
+        if (!tool) return;
+        if (tool !== 'select') {
+            cancelPaste();
+            AppState.setSelectedIds([]);
+        }
+        if (tool !== 'ruler') {
+            AppState.setMeasurement(null);
+        }
+        if (tool !== 'text') {
+            selectAnnotation(null);
+        }
+        discardTerrainPreview();
+        closeDistribution();
+        AppState.setActiveTool(tool);
+        UI?.setActiveTool(tool);
+        updateCanvasCursor();
+        Renderer.renderBoard();
+    }
+
+    function handleBoardGeneration() {
+        const config = UI?.getBoardConfig();
+        if (!config) return;
+        generateBoard(config);
+        UI?.showNotification('Board generated');
+    }
+
+    function handleUndo() {
+        const snapshot = AppState.undo();
+        if (!snapshot) return;
+        AppState.restoreSnapshot(snapshot);
+        syncAnnotationControls();
+        syncLayerControls();
+        Renderer.renderBoard();
+    }
+
+    function handleRedo() {
+        const snapshot = AppState.redo();
+        if (!snapshot) return;
+        AppState.restoreSnapshot(snapshot);
+        syncAnnotationControls();
+        syncLayerControls();
+        Renderer.renderBoard();
+    }
+
+    function handleClearBoard() {
+        const state = AppState.getState();
+        if (!state.polygons.length) return;
+        AppState.clearLayerColors();
+        AppState.setIcons([]);
+        AppState.setEdges([]);
+        AppState.setVertexMarkers([]);
+        AppState.setTokens([]);
+        AppState.setAnnotations([]);
+        syncAnnotationControls();
+        Renderer.renderBoard();
+        AppState.recordHistory();
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
+    }
+
+    /**
+     * Puts every cell removed with the sculpt tool back on the board.
+     */
+    function handleRestoreMaskedCells() {
+        const { maskedPolygons } = AppState.getState();
+        if (!maskedPolygons.length) return;
+        AppState.setCellsMasked(maskedPolygons.map((polygon) => polygon.id), false);
+        Renderer.renderBoard();
+        AppState.recordHistory();
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
+        UI?.showNotification('All cells restored');
+    }
+
+    /**
+     * Handles pointer presses by entering drawing mode and coloring
+     * the polygon immediately under the cursor/touch.
+     *
+     * @param {PointerEvent} event - Pointer down event.
+     */
+    function handlePointerDown(event) {
+        event.preventDefault();
+        if (shouldStartPan(event)) {
+            startPan(event);
+            return;
+        }
+        if (event.button !== 0) return;
+        discardTerrainPreview();
+        const point = getCanvasCoordinates(event);
+        const state = AppState.getState();
+        const polygon = Geometry.findPolygonAtPoint(point, state.polygons);
+        if (distributionOpen) {
+            toggleDistributionLock(polygon);
+            return;
+        }
+        if (state.isPasting) {
+            if (!isActiveLayerLocked()) placePaste(polygon, point);
+            return;
+        }
+        const picking = state.activeTool === 'eyedropper' || (state.activeTool === 'brush' && event.altKey);
+        const painting = ['brush', 'fill', ...SHAPE_TOOLS].includes(state.activeTool) && !picking;
+        if (painting && isActiveLayerLocked()) return;
+        if (state.activeTool === 'select') {
+            startSelection(event, point, polygon);
+            return;
+        }
+        if (state.activeTool === 'fill') {
+            floodFill(polygon);
+            return;
+        }
+        if (state.activeTool === 'sculpt') {
+            startSculpt(point, polygon);
+            return;
+        }
+        if (state.activeTool === 'ruler') {
+            startMeasurement(polygon);
+            return;
+        }
+        if (state.activeTool === 'icon') {
+            startIconStroke(point, polygon);
+            return;
+        }
+        if (state.activeTool === 'edge') {
+            startEdgeStroke(point);
+            return;
+        }
+        if (state.activeTool === 'vertex') {
+            stampVertexMarker(point);
+            return;
+        }
+        if (state.activeTool === 'token') {
+            startTokenGesture(point, polygon);
+            return;
+        }
+        if (state.activeTool === 'text') {
+            startAnnotationGesture(point, polygon);
+            return;
+        }
+        if (picking) {
+            pickColor(polygon);
+            return;
+        }
+        if (SHAPE_TOOLS.includes(state.activeTool)) {
+            startShape(event, polygon);
+            return;
+        }
+        AppState.setDrawingActive(true, polygon?.id || null);
+        lastStrokePoint = point;
+        if (polygon) {
+            paintBrushAt(polygon);
+            Renderer.renderBoard();
+        }
+    }
+
+    /**
+     * Paints the brush footprint centered on a cell: the cell itself plus
+     * every cell within (brush size - 1) steps, repeated on each symmetric
+     * counterpart.
+     *
+     * @param {Object} polygon - Cell under the pointer.
+     */
+    function paintBrushAt(polygon) {
+        const color = getPaintColor();
+        const steps = AppState.getState().brushSize - 1;
+        getSymmetricCells([polygon]).forEach((center) => {
+            Geometry.getCellsWithinSteps(center.id, steps).forEach((cell) => {
+                applyColorToPolygon(cell, color, { recordHistory: false, markDirty: false });
+            });
+        });
+    }
+
+    /**
+     * Expands cells with their counterparts under the active symmetry mode.
+     *
+     * @param {Array<Object>} cells - Cells chosen by the user.
+     * @returns {Array<Object>} Distinct cells including every counterpart.
+     */
+    function getSymmetricCells(cells) {
+        const mode = AppState.getState().symmetryMode;
+        if (mode === 'none') return cells;
+        const result = new Map();
+        cells.forEach((cell) => {
+            Geometry.getSymmetricCells(cell.id, mode).forEach((counterpart) => {
+                result.set(counterpart.id, counterpart);
+            });
+        });
+        return Array.from(result.values());
+    }
+
+    /**
+     * Starts a shape-tool drag anchored on the pressed cell.
+     *
+     * @param {PointerEvent} event - Pointer down event.
+     * @param {Object|null} polygon - Cell under the pointer.
+     */
+    function startShape(event, polygon) {
+        if (!polygon) return;
+        shapeStartId = polygon.id;
+        ui?.canvas?.setPointerCapture?.(event.pointerId);
+        updateShapePreview(polygon.id);
+        Renderer.renderBoard();
+    }
+
+    /**
+     * Recomputes the cells the active shape tool would paint with the drag
+     * currently ending on `endId`.
+     *
+     * @param {string} endId - Cell under the pointer.
+     */
+    function updateShapePreview(endId) {
+        const state = AppState.getState();
+        const outline = state.shapeOutline;
+        let cells = [];
+        switch (state.activeTool) {
+            case 'line':
+                cells = Geometry.getLineCells(shapeStartId, endId);
+                break;
+            case 'rect':
+                cells = Geometry.getRectangleCells(shapeStartId, endId, { outline });
+                break;
+            case 'range': {
+                const { polygonsById } = Geometry.getAdjacencyGraph(state.polygons);
+                const radius = Geometry.hexDistance(polygonsById.get(shapeStartId).cell, polygonsById.get(endId).cell);
+                cells = Geometry.getHexRangeCells(shapeStartId, radius, { ring: outline });
+                break;
+            }
+            default:
+                break;
+        }
+        const color = getPaintColor();
+        AppState.setPaintPreview(getSymmetricCells(cells).map((cell) => ({ id: cell.id, color })));
+    }
+
+    function commitShape() {
+        shapeStartId = null;
+        commitPaintPreview();
+    }
+
+    function cancelShape() {
+        shapeStartId = null;
+        AppState.setPaintPreview(null);
+    }
+
+    /**
+     * Applies the pending paint preview and records it as one undo step.
+     *
+     * @returns {boolean} True when at least one cell changed color.
+     */
+    function commitPaintPreview() {
+        const state = AppState.getState();
+        const preview = state.paintPreview;
+        AppState.setPaintPreview(null);
+        if (!preview) return false;
+
+        const { polygonsById } = Geometry.getAdjacencyGraph(state.polygons);
+        let changed = false;
+        preview.forEach(({ id, color }) => {
+            const cell = polygonsById.get(id);
+            if (cell && applyColorToPolygon(cell, color, { recordHistory: false, markDirty: false })) changed = true;
+        });
+        Renderer.renderBoard();
+        if (changed) {
+            AppState.recordHistory();
+            AppState.markDirty();
+            FileManager.autoSaveToLocalStorage(true);
+        }
+        return changed;
+    }
+
+    /**
+     * Starts a selection gesture: dragging a selected cell moves the
+     * selection, anything else draws a marquee (or is a click on release).
+     *
+     * @param {PointerEvent} event - Pointer down event.
+     * @param {{x:number,y:number}} point - Pointer position in world space.
+     * @param {Object|null} polygon - Cell under the pointer.
+     */
+    function startSelection(event, point, polygon) {
+        const state = AppState.getState();
+        const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+        ui?.canvas?.setPointerCapture?.(event.pointerId);
+        if (polygon && !additive && state.selectedIds.includes(polygon.id)) {
+            if (isActiveLayerLocked()) return;
+            selectionDrag = {
+                mode: 'move',
+                startId: polygon.id,
+                captured: Geometry.captureCells(state.selectedIds, {
+                    anchorId: polygon.id,
+                    colors: AppState.getLayerColors(state.activeLayerId)
+                }),
+                placed: []
+            };
+            return;
+        }
+        selectionDrag = {
+            mode: 'marquee',
+            startPoint: point,
+            startScreen: getScreenCoordinates(event),
+            startId: polygon?.id || null,
+            additive
+        };
+    }
+
+    function updateSelection(event) {
+        const point = getCanvasCoordinates(event);
+        if (selectionDrag.mode === 'marquee') {
+            const { startPoint } = selectionDrag;
+            AppState.setSelectionRect({
+                minX: Math.min(startPoint.x, point.x),
+                minY: Math.min(startPoint.y, point.y),
+                maxX: Math.max(startPoint.x, point.x),
+                maxY: Math.max(startPoint.y, point.y)
+            });
+            requestRender();
+            return;
+        }
+
+        const polygon = Geometry.findPolygonAtPoint(point, AppState.getState().polygons);
+        if (!polygon) return;
+        const placed = polygon.id === selectionDrag.startId ? [] : Geometry.placeCells(selectionDrag.captured, polygon.id, { point });
+        selectionDrag.placed = placed;
+        if (!placed.length) {
+            AppState.setPaintPreview(null);
+        } else {
+            // Vacated cells are erased unless another moved cell lands on them. Cells that
+            // cannot land (off the board or on another cell type) stay where they are.
+            const targetIds = new Set(placed.map((entry) => entry.id));
+            const movedIds = new Set(placed.map((entry) => entry.sourceId));
+            const vacated = selectionDrag.captured.entries
+                .filter((entry) => movedIds.has(entry.id) && !targetIds.has(entry.id))
+                .map((entry) => ({ id: entry.id, color: null }));
+            AppState.setPaintPreview([...vacated, ...placed.map(({ id, color }) => ({ id, color }))]);
+        }
+        requestRender();
+    }
+
+    /**
+     * Completes a selection gesture: applies a marquee or click to the
+     * selection, or commits a move as one undo step.
+     *
+     * @param {PointerEvent} event - Pointer up event.
+     */
+    function finishSelection(event) {
+        const drag = selectionDrag;
+        selectionDrag = null;
+        const state = AppState.getState();
+
+        if (drag.mode === 'move') {
+            const released = Geometry.findPolygonAtPoint(getCanvasCoordinates(event), state.polygons);
+            if (released?.id === drag.startId) {
+                // Releasing on the grabbed cell is a click: drop it from the selection.
+                AppState.setSelectedIds(state.selectedIds.filter((id) => id !== drag.startId));
+            } else if (drag.placed.length && commitPaintPreview()) {
+                AppState.setSelectedIds(drag.placed.map((entry) => entry.id));
+            }
+            AppState.setPaintPreview(null);
+            Renderer.renderBoard();
+            return;
+        }
+
+        const screen = getScreenCoordinates(event);
+        const isClick = Math.hypot(screen.x - drag.startScreen.x, screen.y - drag.startScreen.y) < CLICK_TOLERANCE_PX;
+        let ids;
+        if (isClick) {
+            // Clicking a cell adds it to (or removes it from) the selection.
+            if (drag.startId) {
+                ids = state.selectedIds.includes(drag.startId)
+                    ? state.selectedIds.filter((id) => id !== drag.startId)
+                    : [...state.selectedIds, drag.startId];
+            } else {
+                ids = drag.additive ? state.selectedIds : [];
+            }
+        } else {
+            const inside = Geometry.findPolygonsInRect(state.selectionRect, state.polygons).map((cell) => cell.id);
+            ids = drag.additive ? [...state.selectedIds, ...inside] : inside;
+        }
+        AppState.setSelectedIds(ids);
+        AppState.setSelectionRect(null);
+        Renderer.renderBoard();
+    }
+
+    function cancelSelectionDrag() {
+        selectionDrag = null;
+        AppState.setSelectionRect(null);
+        AppState.setPaintPreview(null);
+    }
+
+    function clearSelection() {
+        cancelPaste();
+        AppState.setSelectedIds([]);
+        Renderer.renderBoard();
+    }
+
+    /**
+     * Copies the selected cells; returns the captured cells (or null).
+     */
+    function copySelection() {
+        const state = AppState.getState();
+        const captured = Geometry.captureCells(state.selectedIds, {
+            colors: AppState.getLayerColors(state.activeLayerId)
+        });
+        if (!captured) {
+            UI?.showNotification('Select cells first');
+            return null;
+        }
+        AppState.setClipboard({ ...captured, layout: getLayoutKey(state.boardConfig) });
+        return captured;
+    }
+
+    function handleCopy() {
+        const captured = copySelection();
+        if (captured) {
+            UI?.showNotification(`Copied ${captured.entries.length} cell(s)`);
+        }
+    }
+
+    /**
+     * Copies the selection and erases its cells from the active layer in
+     * one undo step.
+     */
+    function handleCut() {
+        if (isActiveLayerLocked()) return;
+        const captured = copySelection();
+        if (!captured) return;
+        AppState.setPaintPreview(captured.entries.map((entry) => ({ id: entry.id, color: null })));
+        commitPaintPreview();
+        UI?.showNotification(`Cut ${captured.entries.length} cell(s)`);
+    }
+
+    /**
+     * Enters paste mode: the clipboard follows the pointer until a click
+     * places it (Esc cancels).
+     */
+    function handlePaste() {
+        const state = AppState.getState();
+        if (!state.clipboard) {
+            UI?.showNotification('Nothing to paste');
+            return;
+        }
+        if (state.clipboard.layout !== getLayoutKey(state.boardConfig)) {
+            UI?.showNotification('Copied cells come from a different grid type');
+            return;
+        }
+        handleToolSelect('select');
+        AppState.setPasting(true);
+        if (state.hoverPolygonId) {
+            const hovered = state.polygons.find((polygon) => polygon.id === state.hoverPolygonId);
+            updatePastePreview(hovered, hovered.center);
+        }
+        UI?.showNotification('Click a cell to paste (Esc cancels)');
+    }
+
+    function updatePastePreview(polygon, point) {
+        const { clipboard } = AppState.getState();
+        const placed = polygon ? Geometry.placeCells(clipboard, polygon.id, { point }) : [];
+        AppState.setPaintPreview(placed.length ? placed.map(({ id, color }) => ({ id, color })) : null);
+        requestRender();
+    }
+
+    /**
+     * Pastes the clipboard at a cell as one undo step and selects the result.
+     */
+    function placePaste(polygon, point) {
+        if (!polygon) return;
+        const placed = Geometry.placeCells(AppState.getState().clipboard, polygon.id, { point });
+        if (!placed.length) return;
+        AppState.setPaintPreview(placed.map(({ id, color }) => ({ id, color })));
+        AppState.setPasting(false);
+        commitPaintPreview();
+        AppState.setSelectedIds(placed.map((entry) => entry.id));
+        Renderer.renderBoard();
+    }
+
+    function cancelPaste() {
+        if (!AppState.getState().isPasting) return;
+        AppState.setPasting(false);
+        AppState.setPaintPreview(null);
+    }
+
+    /**
+     * Copied offsets only line up on boards with the same lattice. Area maps
+     * have no lattice, so they only match the exact same generated map.
+     */
+    function getLayoutKey(boardConfig) {
+        if (boardConfig.gridType === 'areas') {
+            const { boardShape, width, height, regionCount, seed } = boardConfig;
+            return `areas:${boardShape}:${width}x${height}:${regionCount}:${seed}`;
+        }
+        return boardConfig.gridType === 'hexagon' ? `hexagon:${boardConfig.orientation}` : boardConfig.gridType;
+    }
+
+    /**
+     * Makes a cell's color the current paint color. Palette colors select
+     * their swatch (switching palettes when needed, preferring the active
+     * one); any other color goes into the recent colors strip.
+     *
+     * @param {Object|null} polygon - Cell that was clicked.
+     */
+    function pickColor(polygon) {
+        if (!polygon) return;
+        const state = AppState.getState();
+        const color = normalizeColor(getTopLayerColor(polygon));
+        const palette = Config.findPaletteByColor(color, state.currentPaletteId);
+
+        AppState.setEraserActive(false);
+        UI?.setEraserActive(false);
+        if (!palette) {
+            AppState.addRecentColor(color);
+            AppState.setCurrentColor(color);
+            UI?.renderRecentColors(state.recentColors, color);
+            return;
+        }
+
+        const swatch = palette.colors.find((entry) => entry.hex.toLowerCase() === color);
+        if (palette.id !== state.currentPaletteId) {
+            UI?.renderColorPalette(palette.id, swatch.hex);
+            AppState.setCurrentPaletteId(palette.id);
+            AppState.markDirty();
+            FileManager.autoSaveToLocalStorage(true);
+        }
+        AppState.setCurrentColor(swatch.hex);
+        UI?.setPaletteByColor(swatch.hex);
+    }
+
+    /**
+     * Color of a cell on the topmost visible layer that paints it, which is
+     * what the eyedropper picks.
+     *
+     * @param {Object} polygon - Cell to inspect.
+     * @returns {string} Hex color (the blank tile color when no layer paints it).
+     */
+    function getTopLayerColor(polygon) {
+        const { layers } = AppState.getState();
+        for (let index = layers.length - 1; index >= 0; index--) {
+            if (!layers[index].visible) continue;
+            const color = AppState.getLayerColors(layers[index].id).get(polygon.id);
+            if (color) return color;
+        }
+        return Config.DEFAULT_TILE_COLOR;
+    }
+
+    /**
+     * Recolors the same-colored region under the pointer (or every matching
+     * cell when "fill all" is enabled) and records it as one undo step. With
+     * symmetry on, the regions under each counterpart cell are filled too.
+     *
+     * @param {Object|null} polygon - Cell that was clicked.
+     */
+    function floodFill(polygon) {
+        if (!polygon) return;
+        const state = AppState.getState();
+        const fillColor = getPaintColor();
+        // Regions are made of cells with the same paint on the active layer; unpainted cells form their own.
+        const colors = AppState.getLayerColors(state.activeLayerId);
+        const paintOf = (cell) => (colors.has(cell.id) ? normalizeColor(colors.get(cell.id)) : null);
+        const seeds = state.fillAllMatching ? [polygon] : getSymmetricCells([polygon]);
+        // Collect every region before painting so one fill cannot reshape another.
+        const cells = seeds.flatMap((seed) => {
+            const targetColor = paintOf(seed);
+            if (targetColor === (fillColor && normalizeColor(fillColor))) return [];
+            const matchesTarget = (candidate) => paintOf(candidate) === targetColor;
+            return state.fillAllMatching
+                ? state.polygons.filter(matchesTarget)
+                : Geometry.getConnectedRegion(seed.id, matchesTarget);
+        });
+        if (!cells.length) return;
+
+        cells.forEach((cell) => {
+            applyColorToPolygon(cell, fillColor, { recordHistory: false, markDirty: false });
+        });
+        Renderer.renderBoard();
+        AppState.recordHistory();
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
+    }
+
+    /**
+     * Color applied by painting tools: null while erasing, otherwise the
+     * selected swatch.
+     *
+     * @returns {string|null} Hex color string, or null to erase.
+     */
+    function getPaintColor() {
+        const state = AppState.getState();
+        return state.isEraserActive ? null : state.currentColor;
+    }
+
+    function normalizeColor(color) {
+        return (color || Config.DEFAULT_FILL).toLowerCase();
+    }
+
+    /**
+     * Handles pointer movement for both hover feedback and brush coloring.
+     * Drag samples (including coalesced ones) are joined into continuous strokes.
+     *
+     * @param {PointerEvent} event - Pointer move event.
+     */
+    function handlePointerMove(event) {
+        const state = AppState.getState();
+        if (state.isPanning) {
+            updatePan(event);
+            return;
+        }
+        if (selectionDrag) {
+            updateSelection(event);
+            return;
+        }
+        if (sculptDrag) {
+            getStrokeSamples(event).forEach((sample) => {
+                extendSculpt(getCanvasCoordinates(sample));
+            });
+            requestRender();
+            return;
+        }
+        if (iconDrag) {
+            getStrokeSamples(event).forEach((sample) => {
+                extendIconStroke(getCanvasCoordinates(sample));
+            });
+            requestRender();
+            return;
+        }
+        if (edgeDrag) {
+            getStrokeSamples(event).forEach((sample) => {
+                extendEdgeStroke(getCanvasCoordinates(sample));
+            });
+            requestRender();
+            return;
+        }
+        if (tokenDrag) {
+            dragToken(getCanvasCoordinates(event));
+            requestRender();
+            return;
+        }
+        if (annotationDrag) {
+            dragAnnotation(getCanvasCoordinates(event));
+            requestRender();
+            return;
+        }
+
+        if (state.isPasting) {
+            const point = getCanvasCoordinates(event);
+            updatePastePreview(Geometry.findPolygonAtPoint(point, state.polygons), point);
+            return;
+        }
+
+        if (shapeStartId) {
+            const polygon = Geometry.findPolygonAtPoint(getCanvasCoordinates(event), state.polygons);
+            if (polygon) {
+                updateShapePreview(polygon.id);
+                requestRender();
+            }
+            return;
+        }
+
+        if (isMeasuring) {
+            const polygon = Geometry.findPolygonAtPoint(getCanvasCoordinates(event), state.polygons);
+            if (polygon) {
+                updateMeasurement(polygon.id);
+                requestRender();
+            }
+            return;
+        }
+
+        if (state.isDrawing) {
+            getStrokeSamples(event).forEach((sample) => {
+                extendStroke(getCanvasCoordinates(sample));
+            });
+            requestRender();
+            return;
+        }
+
+        const point = getCanvasCoordinates(event);
+
+        if (state.activeTool === 'edge') {
+            const edgeId = Geometry.findNearestEdge(point)?.id || null;
+            if (edgeId !== state.hoverEdgeId) {
+                AppState.setHoverEdgeId(edgeId);
+                Renderer.renderBoard();
+            }
+            return;
+        }
+        if (state.activeTool === 'vertex') {
+            const vertexId = Geometry.findNearestVertex(point)?.id || null;
+            if (vertexId !== state.hoverVertexId) {
+                AppState.setHoverVertexId(vertexId);
+                Renderer.renderBoard();
+            }
+            return;
+        }
+
+        // While sculpting, removed cells can be hovered (and clicked back) too.
+        const polygon =
+            Geometry.findPolygonAtPoint(point, state.polygons) ||
+            (state.activeTool === 'sculpt' ? Geometry.findPolygonAtPoint(point, state.maskedPolygons) : null);
+        const polygonId = polygon?.id || null;
+        if (polygonId !== state.hoverPolygonId) {
+            AppState.setHoverPolygonId(polygonId);
+            Renderer.renderBoard();
+        }
+    }
+
+    /**
+     * Starts a ruler gesture: in measure mode a line is dragged out from the
+     * cell, in range mode the cells around it are shaded right away. Pressing
+     * outside the board clears the ruler.
+     *
+     * @param {Object|null} polygon - Cell under the pointer.
+     */
+    function startMeasurement(polygon) {
+        const { rulerMode, rulerRange } = AppState.getState();
+        if (!polygon) {
+            clearMeasurement();
+            return;
+        }
+        if (rulerMode === 'range') {
+            AppState.setMeasurement(createRangeMeasurement(polygon.id, rulerRange));
+        } else {
+            isMeasuring = true;
+            AppState.setMeasurement({ mode: 'measure', startId: polygon.id, endId: polygon.id, distance: 0 });
+        }
+        Renderer.renderBoard();
+    }
+
+    function updateMeasurement(endId) {
+        const { measurement, distanceMetric } = AppState.getState();
+        if (!measurement || measurement.endId === endId) return;
+        const distance = Geometry.getCellDistance(measurement.startId, endId, { metric: distanceMetric });
+        AppState.setMeasurement({ ...measurement, endId, distance });
+    }
+
+    function createRangeMeasurement(centerId, steps) {
+        const metric = AppState.getState().distanceMetric;
+        const cells = Geometry.getCellsInRange(centerId, steps, { metric });
+        return { mode: 'range', centerId, steps, cellIds: cells.map((cell) => cell.id) };
+    }
+
+    /**
+     * Recomputes the shown ruler result after its settings change.
+     */
+    function refreshMeasurement() {
+        const { measurement, rulerRange, distanceMetric } = AppState.getState();
+        if (!measurement) return;
+        if (measurement.mode === 'range') {
+            AppState.setMeasurement(createRangeMeasurement(measurement.centerId, rulerRange));
+        } else {
+            const distance = Geometry.getCellDistance(measurement.startId, measurement.endId, { metric: distanceMetric });
+            AppState.setMeasurement({ ...measurement, distance });
+        }
+        Renderer.renderBoard();
     }
 
-    function bindPaletteEvents() {
-        const paletteGrid = ui?.paletteGrid;
-        paletteGrid?.addEventListener('click', (event) => {
-            const button = event.target.closest('.palette-swatch');
-            if (!button || !paletteGrid.contains(button)) return;
-            handleColorSelect(button);
-        });
-
-        const paletteSelect = ui?.paletteSelect;
-        paletteSelect?.addEventListener('change', () => handlePaletteChange(paletteSelect.value));
+    function clearMeasurement() {
+        isMeasuring = false;
+        if (!AppState.getState().measurement) return;
+        AppState.setMeasurement(null);
+        Renderer.renderBoard();
+    }
 
-        const eraserButton = ui?.eraserButton;
-        eraserButton?.addEventListener('click', handleEraserSelect);
+    /**
+     * Starts a sculpt drag. Pressing on a board cell removes every cell the
+     * drag crosses; pressing on a removed cell brings crossed cells back.
+     *
+     * @param {{x:number,y:number}} point - Press position in world space.
+     * @param {Object|null} polygon - Board cell under the pointer.
+     */
+    function startSculpt(point, polygon) {
+        const target = polygon || Geometry.findPolygonAtPoint(point, AppState.getState().maskedPolygons);
+        if (!target) return;
+        sculptDrag = { masked: Boolean(polygon), changed: false };
+        lastStrokePoint = point;
+        sculptCells([target]);
+        Renderer.renderBoard();
     }
 
-    function bindBoardControls() {
-        ui?.generateButton?.addEventListener('click', handleBoardGeneration);
+    function sculptCells(cells) {
+        if (AppState.setCellsMasked(cells.map((cell) => cell.id), sculptDrag.masked)) {
+            sculptDrag.changed = true;
+        }
     }
 
-    function bindActionButtons() {
-        ui?.undoButton?.addEventListener('click', handleUndo);
-        ui?.redoButton?.addEventListener('click', handleRedo);
-        ui?.clearButton?.addEventListener('click', handleClearBoard);
+    function extendSculpt(point) {
+        const state = AppState.getState();
+        const start = lastStrokePoint || point;
+        lastStrokePoint = point;
+        const candidates = sculptDrag.masked ? state.polygons : state.maskedPolygons;
+        sculptCells(Geometry.findPolygonsAlongSegment(start, point, candidates));
     }
 
-    function handleColorSelect(button) {
-        const color =
-            button.dataset.color ||
-            getComputedStyle(button).getPropertyValue('--swatch-color').trim();
-        AppState.setCurrentColor(color);
-        AppState.setEraserActive(false);
-        UI?.setPaletteSelection(button);
-        UI?.setEraserActive(false);
+    function finishSculpt() {
+        const { changed } = sculptDrag;
+        sculptDrag = null;
+        lastStrokePoint = null;
+        if (changed) {
+            AppState.recordHistory();
+            AppState.markDirty();
+            FileManager.autoSaveToLocalStorage(true);
+        }
+        Renderer.renderBoard();
     }
 
     /**
-     * Switches to a different palette, preserving the current color when
-     * available inside the new palette; otherwise selects the first swatch.
+     * Starts an icon-tool drag, stamping the current icon (or, with the
+     * eraser, removing icons) on the cell under the pointer and every cell
+     * the drag passes.
      *
-     * @param {string} paletteId - Requested palette id.
+     * @param {{x:number,y:number}} point - Press position in world space.
+     * @param {Object|null} polygon - Cell under the pointer.
      */
-    function handlePaletteChange(paletteId) {
-        const palette = Config.getPaletteById(paletteId) || Config.getDefaultPalette();
+    function startIconStroke(point, polygon) {
+        iconDrag = { changed: false };
+        lastStrokePoint = point;
+        if (polygon) stampIcons([polygon]);
+        Renderer.renderBoard();
+    }
+
+    function stampIcons(cells) {
         const state = AppState.getState();
-        const currentColor = state.currentColor;
-        const resolved = UI.renderColorPalette(palette.id, currentColor);
+        const stamp = state.isEraserActive ? null : { icon: state.iconName, number: state.iconNumber };
+        cells.forEach((cell) => {
+            if (AppState.setIcon(cell.id, stamp)) {
+                iconDrag.changed = true;
+            }
+        });
+    }
 
-        AppState.setEraserActive(false);
-        AppState.setCurrentPaletteId(palette.id);
-        AppState.setCurrentColor(resolved.color);
-        UI.setPaletteByColor(resolved.color);
-        UI.setEraserActive(false);
-        AppState.markDirty();
-        FileManager.autoSaveToLocalStorage(true);
+    function extendIconStroke(point) {
+        const start = lastStrokePoint || point;
+        lastStrokePoint = point;
+        stampIcons(Geometry.findPolygonsAlongSegment(start, point, AppState.getState().polygons));
+    }
+
+    function finishIconStroke() {
+        const { changed } = iconDrag;
+        iconDrag = null;
+        lastStrokePoint = null;
+        if (changed) {
+            AppState.recordHistory();
+            AppState.markDirty();
+            FileManager.autoSaveToLocalStorage(true);
+        }
+        Renderer.renderBoard();
     }
 
     /**
-     * Activates the eraser tool and deselects any palette swatches.
+     * Starts an edge-tool drag, painting (or, with the eraser, removing) the
+     * cell border nearest the pointer and every border the drag passes.
+     *
+     * @param {{x:number,y:number}} point - Press position in world space.
      */
-    function handleEraserSelect() {
-        AppState.setEraserActive(true);
-        UI?.setEraserActive(true);
+    function startEdgeStroke(point) {
+        edgeDrag = { changed: false };
+        lastStrokePoint = point;
+        const edge = Geometry.findNearestEdge(point);
+        AppState.setHoverEdgeId(edge?.id || null);
+        if (edge) paintEdges([edge]);
+        Renderer.renderBoard();
     }
 
-    function handleBoardGeneration() {
-        const config = UI?.getBoardConfig();
-        if (!config) return;
-        generateBoard(config);
-        UI?.showNotification('Board generated');
+    function paintEdges(edges) {
+        const state = AppState.getState();
+        const style = state.isEraserActive
+            ? null
+            : { color: state.currentColor, width: state.edgeWidth, dash: state.edgeDash };
+        edges.forEach((edge) => {
+            if (AppState.setEdge(edge.id, style)) {
+                edgeDrag.changed = true;
+            }
+        });
     }
 
-    function handleUndo() {
-        const snapshot = AppState.undo();
-        if (!snapshot) return;
-        AppState.restoreSnapshot(snapshot);
+    function extendEdgeStroke(point) {
+        const start = lastStrokePoint || point;
+        lastStrokePoint = point;
+        const edges = Geometry.findEdgesAlongSegment(start, point);
+        AppState.setHoverEdgeId(edges.length ? edges[edges.length - 1].id : null);
+        paintEdges(edges);
+    }
+
+    function finishEdgeStroke() {
+        const { changed } = edgeDrag;
+        edgeDrag = null;
+        lastStrokePoint = null;
+        if (changed) {
+            AppState.recordHistory();
+            AppState.markDirty();
+            FileManager.autoSaveToLocalStorage(true);
+        }
         Renderer.renderBoard();
     }
 
-    function handleRedo() {
-        const snapshot = AppState.redo();
-        if (!snapshot) return;
-        AppState.restoreSnapshot(snapshot);
+    /**
+     * Stamps the current marker shape and color on the corner nearest the
+     * pointer, or removes the corner's marker while the eraser is active.
+     *
+     * @param {{x:number,y:number}} point - Press position in world space.
+     */
+    function stampVertexMarker(point) {
+        const state = AppState.getState();
+        const vertex = Geometry.findNearestVertex(point);
+        if (!vertex) return;
+        const marker = state.isEraserActive ? null : { shape: state.markerShape, color: state.currentColor };
+        if (!AppState.setVertexMarker(vertex.id, marker)) return;
         Renderer.renderBoard();
+        AppState.recordHistory();
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
     }
 
-    function handleClearBoard() {
+    /**
+     * Handles a press with the token tool: grabs the token under the pointer
+     * (or deletes it while the eraser is active), otherwise places a new
+     * token on the cell.
+     *
+     * @param {{x:number,y:number}} point - Press position in world space.
+     * @param {Object|null} polygon - Cell under the pointer.
+     */
+    function startTokenGesture(point, polygon) {
         const state = AppState.getState();
-        if (!state.polygons.length) return;
-        state.polygons.forEach((polygon) => {
-            polygon.color = Config.DEFAULT_TILE_COLOR;
+        const token = Geometry.findTokenAtPoint(point, Geometry.getTokenPlacements(state.tokens));
+        if (token && state.isEraserActive) {
+            AppState.removeToken(token.id);
+            commitTokenChange();
+            return;
+        }
+        if (token) {
+            tokenDrag = { id: token.id, moved: false, offBoard: false };
+            return;
+        }
+        if (!polygon || state.isEraserActive) return;
+        AppState.addToken({
+            cellId: polygon.id,
+            shape: state.tokenShape,
+            color: state.currentColor,
+            label: state.tokenLabel
         });
+        commitTokenChange();
+    }
+
+    /**
+     * Snaps the dragged token onto the cell under the pointer.
+     */
+    function dragToken(point) {
+        const polygon = Geometry.findPolygonAtPoint(point, AppState.getState().polygons);
+        tokenDrag.offBoard = !polygon;
+        if (polygon && AppState.moveToken(tokenDrag.id, polygon.id)) {
+            tokenDrag.moved = true;
+        }
+    }
+
+    function finishTokenDrag() {
+        const { id, moved, offBoard } = tokenDrag;
+        tokenDrag = null;
+        // Dropping a token off the board deletes it.
+        if ((offBoard && AppState.removeToken(id)) || moved) {
+            commitTokenChange();
+        } else {
+            Renderer.renderBoard();
+        }
+    }
+
+    function commitTokenChange() {
         Renderer.renderBoard();
         AppState.recordHistory();
         AppState.markDirty();
@@ -127,66 +1663,236 @@ const Interactions = (() => {
     }
 
     /**
-     * Handles pointer presses by entering drawing mode and coloring
-     * the polygon immediately under the cursor/touch.
+     * Handles a press with the text tool: grabs the annotation under the
+     * pointer (or deletes it while the eraser is active), deselects on a
+     * press elsewhere, and otherwise places a new annotation, anchored to the
+     * cell under the pointer when anchoring is on.
      *
-     * @param {PointerEvent} event - Pointer down event.
+     * @param {{x:number,y:number}} point - Press position in world space.
+     * @param {Object|null} polygon - Cell under the pointer.
      */
-    function handlePointerDown(event) {
-        event.preventDefault();
-        const point = getCanvasCoordinates(event);
+    function startAnnotationGesture(point, polygon) {
         const state = AppState.getState();
-        const polygon = Geometry.findPolygonAtPoint(point, state.polygons);
-        AppState.setDrawingActive(true, polygon?.id || null);
-        if (polygon) {
-            const paintColor = state.isEraserActive ? Config.DEFAULT_TILE_COLOR : state.currentColor;
-            applyColorToPolygon(polygon, paintColor, { recordHistory: false, markDirty: false });
+        const placement = Geometry.findAnnotationAtPoint(point, Geometry.getAnnotationPlacements(state.annotations));
+        if (placement && state.isEraserActive) {
+            AppState.removeAnnotation(placement.annotation.id);
+            syncAnnotationControls();
+            commitAnnotationChange();
+            return;
+        }
+        if (placement) {
+            selectAnnotation(placement.annotation.id);
+            annotationDrag = {
+                id: placement.annotation.id,
+                offsetX: placement.x - point.x,
+                offsetY: placement.y - point.y,
+                moved: false
+            };
+            return;
+        }
+        if (state.selectedAnnotationId) {
+            selectAnnotation(null);
+            return;
+        }
+        if (state.isEraserActive || !state.polygons.length) return;
+        const anchor = state.anchorAnnotations ? polygon : null;
+        const annotation = AppState.addAnnotation({
+            text: state.annotationText.trim() ? state.annotationText : Config.DEFAULT_ANNOTATION_TEXT,
+            fontSize: state.annotationFontSize,
+            color: state.currentColor,
+            rotation: state.annotationRotation,
+            cellId: anchor?.id || null,
+            x: anchor ? anchor.center.x : point.x,
+            y: anchor ? anchor.center.y : point.y
+        });
+        selectAnnotation(annotation.id);
+        commitAnnotationChange();
+        UI?.focusAnnotationText();
+    }
+
+    /**
+     * Moves the dragged annotation: anchored ones snap to the cell under the
+     * pointer, free ones follow it.
+     */
+    function dragAnnotation(point) {
+        const annotation = AppState.getState().annotations.find((entry) => entry.id === annotationDrag.id);
+        if (!annotation) return;
+        let changes = { x: point.x + annotationDrag.offsetX, y: point.y + annotationDrag.offsetY };
+        if (annotation.cellId) {
+            const polygon = Geometry.findPolygonAtPoint(point, AppState.getState().polygons);
+            if (!polygon) return;
+            changes = { cellId: polygon.id, x: polygon.center.x, y: polygon.center.y };
+        }
+        if (AppState.updateAnnotation(annotation.id, changes)) {
+            annotationDrag.moved = true;
+        }
+    }
+
+    function finishAnnotationDrag() {
+        const { moved } = annotationDrag;
+        annotationDrag = null;
+        if (moved) {
+            commitAnnotationChange();
+        } else {
             Renderer.renderBoard();
         }
     }
 
     /**
-     * Handles pointer movement for both hover feedback and brush coloring.
-     * Movement events are throttled so dragging feels smooth even on tablets.
+     * Selects an annotation (or none) and loads its settings into the text
+     * tool, so new labels continue in the style of the last one edited.
      *
-     * @param {PointerEvent} event - Pointer move event.
+     * @param {string|null} id - Annotation id or null to deselect.
      */
-    function handlePointerMove(event) {
+    function selectAnnotation(id) {
         const state = AppState.getState();
-        const point = getCanvasCoordinates(event);
+        if (id === state.selectedAnnotationId) return;
+        AppState.setSelectedAnnotationId(id);
+        const annotation = state.annotations.find((entry) => entry.id === id);
+        if (annotation) {
+            AppState.setAnnotationText(annotation.text);
+            AppState.setAnnotationFontSize(annotation.fontSize);
+            AppState.setAnnotationRotation(annotation.rotation);
+        }
+        syncAnnotationControls();
+        Renderer.renderBoard();
+    }
 
-        if (state.isDrawing) {
-            const now = performance.now();
-            if (now - lastMoveTimestamp < MOVE_THROTTLE_MS) {
-                return;
-            }
-            lastMoveTimestamp = now;
-            const polygon = Geometry.findPolygonAtPoint(point, state.polygons);
-            if (polygon && polygon.id !== state.lastColoredPolygonId) {
-                const paintColor = state.isEraserActive ? Config.DEFAULT_TILE_COLOR : state.currentColor;
-                applyColorToPolygon(polygon, paintColor, { recordHistory: false, markDirty: false });
-                AppState.setLastColoredPolygonId(polygon.id);
-                Renderer.renderBoard();
-            }
+    function syncAnnotationControls() {
+        const state = AppState.getState();
+        const selected = state.annotations.find((entry) => entry.id === state.selectedAnnotationId);
+        const settings = selected || {
+            text: state.annotationText,
+            fontSize: state.annotationFontSize,
+            rotation: state.annotationRotation
+        };
+        UI?.setAnnotationControls(settings, Boolean(selected));
+    }
+
+    /**
+     * Applies changes to the selected annotation.
+     *
+     * @param {Object} changes - Annotation properties to update.
+     * @param {boolean} commit - Record an undo step (also for earlier uncommitted edits).
+     */
+    function editSelectedAnnotation(changes, commit) {
+        const id = AppState.getState().selectedAnnotationId;
+        if (!id) return;
+        const changed = AppState.updateAnnotation(id, changes);
+        if (!commit) {
+            if (changed) Renderer.renderBoard();
             return;
         }
+        const snapshot = AppState.getState().history[AppState.getState().historyIndex];
+        const recorded = snapshot?.annotations.find((entry) => entry.id === id);
+        const current = AppState.getState().annotations.find((entry) => entry.id === id);
+        if (recorded && Object.keys(current).every((key) => recorded[key] === current[key])) return;
+        commitAnnotationChange();
+    }
 
-        const polygon = Geometry.findPolygonAtPoint(point, state.polygons);
-        const polygonId = polygon?.id || null;
-        if (polygonId !== state.hoverPolygonId) {
-            AppState.setHoverPolygonId(polygonId);
+    function deleteSelectedAnnotation() {
+        const id = AppState.getState().selectedAnnotationId;
+        if (!id || !AppState.removeAnnotation(id)) return;
+        syncAnnotationControls();
+        commitAnnotationChange();
+    }
+
+    function commitAnnotationChange() {
+        Renderer.renderBoard();
+        AppState.recordHistory();
+        AppState.markDirty();
+        FileManager.autoSaveToLocalStorage(true);
+    }
+
+    /**
+     * Returns every pointer sample since the last move event. Browsers that
+     * batch fast movements expose the skipped samples as coalesced events.
+     *
+     * @param {PointerEvent} event - Pointer move event.
+     * @returns {Array<PointerEvent>} Samples in chronological order.
+     */
+    function getStrokeSamples(event) {
+        const coalesced = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : [];
+        return coalesced.length ? coalesced : [event];
+    }
+
+    /**
+     * Joins the previous stroke sample to a new one and paints every cell the
+     * connecting segment crosses, so quick drags leave no gaps.
+     *
+     * @param {{x:number,y:number}} point - New sample in world space.
+     */
+    function extendStroke(point) {
+        const state = AppState.getState();
+        const start = lastStrokePoint || point;
+        lastStrokePoint = point;
+        Geometry.findPolygonsAlongSegment(start, point, state.polygons).forEach((polygon) => {
+            if (polygon.id === AppState.getState().lastColoredPolygonId) return;
+            paintBrushAt(polygon);
+            AppState.setLastColoredPolygonId(polygon.id);
+        });
+    }
+
+    /**
+     * Coalesces board redraws during a stroke into one per animation frame.
+     */
+    function requestRender() {
+        if (renderFrameId !== null) return;
+        renderFrameId = window.requestAnimationFrame(() => {
+            renderFrameId = null;
             Renderer.renderBoard();
-        }
+        });
     }
 
     /**
-     * Finalizes a brush stroke by recording history and resetting drawing flags.
+     * Finalizes the current gesture: a brush stroke records history and
+     * resets drawing flags; shapes and selection moves commit their preview.
+     *
+     * @param {PointerEvent} event - Pointer up event.
      */
-    function handlePointerUp() {
+    function handlePointerUp(event) {
         const state = AppState.getState();
+        if (state.isPanning) {
+            endPan();
+            return;
+        }
+        if (selectionDrag) {
+            finishSelection(event);
+            return;
+        }
+        if (sculptDrag) {
+            finishSculpt();
+            return;
+        }
+        if (iconDrag) {
+            finishIconStroke();
+            return;
+        }
+        if (edgeDrag) {
+            finishEdgeStroke();
+            return;
+        }
+        if (tokenDrag) {
+            finishTokenDrag();
+            return;
+        }
+        if (annotationDrag) {
+            finishAnnotationDrag();
+            return;
+        }
+        if (isMeasuring) {
+            // The finished measurement stays on the board until the next press.
+            isMeasuring = false;
+            return;
+        }
+        if (shapeStartId) {
+            commitShape();
+            return;
+        }
         if (!state.isDrawing) return;
         const didColor = Boolean(state.lastColoredPolygonId);
         AppState.setDrawingActive(false);
+        lastStrokePoint = null;
         if (didColor) {
             AppState.recordHistory();
             AppState.markDirty();
@@ -200,9 +1906,40 @@ const Interactions = (() => {
      */
     function handlePointerCancel() {
         const state = AppState.getState();
+        if (state.isPanning) {
+            endPan();
+        }
+        if (shapeStartId) {
+            cancelShape();
+        }
+        if (selectionDrag) {
+            cancelSelectionDrag();
+        }
+        if (sculptDrag) {
+            finishSculpt();
+        }
+        if (iconDrag) {
+            finishIconStroke();
+        }
+        if (edgeDrag) {
+            finishEdgeStroke();
+        }
+        if (tokenDrag) {
+            // Leaving the canvas keeps the token on the last cell it snapped to.
+            tokenDrag.offBoard = false;
+            finishTokenDrag();
+        }
+        if (annotationDrag) {
+            finishAnnotationDrag();
+        }
+        isMeasuring = false;
+        if (state.isPasting) {
+            AppState.setPaintPreview(null);
+        }
         if (state.isDrawing) {
             const didColor = Boolean(state.lastColoredPolygonId);
             AppState.setDrawingActive(false);
+            lastStrokePoint = null;
             if (didColor) {
                 AppState.recordHistory();
                 AppState.markDirty();
@@ -212,17 +1949,40 @@ const Interactions = (() => {
         if (state.hoverPolygonId) {
             AppState.setHoverPolygonId(null);
         }
+        AppState.setHoverEdgeId(null);
+        AppState.setHoverVertexId(null);
         Renderer.renderBoard();
     }
 
+    function startPan(event) {
+        lastPanPoint = getScreenCoordinates(event);
+        AppState.setPanning(true);
+        ui?.canvas?.setPointerCapture?.(event.pointerId);
+        updateCanvasCursor();
+    }
+
+    function updatePan(event) {
+        const point = getScreenCoordinates(event);
+        if (lastPanPoint) {
+            Renderer.panBy(point.x - lastPanPoint.x, point.y - lastPanPoint.y);
+        }
+        lastPanPoint = point;
+    }
+
+    function endPan() {
+        lastPanPoint = null;
+        AppState.setPanning(false);
+        updateCanvasCursor();
+    }
+
     /**
-     * Converts pointer event coordinates into canvas space accounting
-     * for CSS scaling.
+     * Converts pointer event coordinates into canvas pixels accounting
+     * for CSS scaling (before the viewport transform).
      *
-     * @param {PointerEvent} event - Browser pointer event.
-     * @returns {{x:number,y:number}} Coordinate inside the canvas.
+     * @param {PointerEvent|WheelEvent} event - Browser pointer event.
+     * @returns {{x:number,y:number}} Coordinate inside the canvas element.
      */
-    function getCanvasCoordinates(event) {
+    function getScreenCoordinates(event) {
         const canvas = AppState.getState().canvas;
         const rect = canvas.getBoundingClientRect();
         const scaleX = canvas.width / rect.width;
@@ -234,19 +1994,30 @@ const Interactions = (() => {
         };
     }
 
+    /**
+     * Converts pointer event coordinates into world space (the coordinate
+     * system polygons live in), undoing CSS scaling and the viewport transform.
+     *
+     * @param {PointerEvent} event - Browser pointer event.
+     * @returns {{x:number,y:number}} World-space coordinate.
+     */
+    function getCanvasCoordinates(event) {
+        return Renderer.screenToWorld(getScreenCoordinates(event));
+    }
+
     /**
      * Applies a color to a polygon with optional history/dirty tracking.
      *
      * @param {Object} polygon - Polygon to update.
-     * @param {string} color - Hex color string.
+     * @param {string|null} color - Hex color string, or null to erase the cell from the active layer.
      * @param {Object} [options] - Behavior flags.
      * @param {boolean} [options.recordHistory=true] - Whether to snapshot history.
      * @param {boolean} [options.markDirty=true] - Whether to mark state dirty/autosave.
+     * @returns {boolean} True when the cell changed.
      */
     function applyColorToPolygon(polygon, color, options = {}) {
         const { recordHistory = true, markDirty = true } = options;
-        if (!polygon || polygon.color === color) return;
-        polygon.color = color;
+        if (!polygon || !AppState.setCellColor(polygon, color)) return false;
         if (recordHistory) {
             AppState.recordHistory();
         }
@@ -254,6 +2025,27 @@ const Interactions = (() => {
             AppState.markDirty();
             FileManager.autoSaveToLocalStorage(true);
         }
+        return true;
+    }
+
+    /**
+     * Moves corner markers onto a regenerated grid. Vertex ids are world
+     * positions, which shift when some boards grow, so each marker follows
+     * one of its cell corners that is still on the grid.
+     *
+     * @param {Array<Object>} previous - Every cell of the old grid.
+     * @param {Array<Object>} polygons - Every cell of the new grid.
+     */
+    function carryVertexMarkers(previous, polygons) {
+        const ids = new Set(polygons.map((polygon) => polygon.id));
+        const markers = [];
+        AppState.getState().vertexMarkers.forEach((marker, id) => {
+            const corners = Geometry.getVertexCorners(id, { polygons: previous });
+            const anchor = corners.find((entry) => ids.has(entry.polygonId));
+            const vertexId = anchor && Geometry.resolveVertexId(anchor.polygonId, anchor.corner, { polygons });
+            if (vertexId) markers.push([vertexId, marker]);
+        });
+        AppState.setVertexMarkers(markers);
     }
 
     /**
@@ -261,27 +2053,41 @@ const Interactions = (() => {
      *
      * @param {Object} config - Board settings (grid, size, orientation).
      * @param {Object} [options] - Additional flags for regeneration.
+     * @param {boolean} [options.skipDirtyFlag=false] - Leave the board clean and skip the autosave.
      */
     function generateBoard(config, options = {}) {
         const state = AppState.getState();
-        const colorMap =
-            options.preserveColors && state.polygons.length
-                ? new Map(state.polygons.map((polygon) => [polygon.id, polygon.color]))
-                : null;
-        const polygons = Geometry.generateGrid(config, state.canvas, colorMap);
-        AppState.setPolygons(polygons);
-        AppState.updateBoardConfig(config);
-        Renderer.renderBoard();
-        UI?.updateCanvasMessage(polygons.length);
-
-        if (!options.preserveHistory) {
-            AppState.resetHistory();
-            AppState.recordHistory();
-        } else if (state.history.length) {
-            const snapshot = state.history[state.historyIndex];
-            AppState.restoreSnapshot(snapshot);
-            Renderer.renderBoard();
+        discardTerrainPreview();
+        closeDistribution();
+        // Cell ids only name the same cells on the same lattice, so icon stamps, edges and
+        // corner markers are kept on cells still on the board when that lattice is regenerated (e.g. grown).
+        const sameLayout = getLayoutKey(state.boardConfig) === getLayoutKey(config);
+        const previousIcons = sameLayout ? Array.from(state.icons) : [];
+        const previousEdges = sameLayout ? Array.from(state.edges) : [];
+        const previousPolygons = state.polygons.concat(state.maskedPolygons);
+        const polygons = Geometry.generateGrid(config);
+        const cellIds = new Set(polygons.map((polygon) => polygon.id));
+        // Removed cells stay removed when the board is regenerated (e.g. grown).
+        AppState.setPolygons(polygons, state.maskedPolygons.map((polygon) => polygon.id));
+        AppState.resetLayers();
+        syncLayerControls();
+        AppState.setIcons(previousIcons.filter(([id]) => cellIds.has(id)));
+        const sharedEdges = Geometry.getSharedEdges(polygons);
+        AppState.setEdges(previousEdges.filter(([id]) => sharedEdges.has(id)));
+        if (sameLayout) {
+            carryVertexMarkers(previousPolygons, polygons);
+        } else {
+            AppState.setVertexMarkers([]);
         }
+        AppState.setTokens([]);
+        AppState.setAnnotations([]);
+        syncAnnotationControls();
+        AppState.updateBoardConfig(config);
+        UI?.applyToolAvailability(AppState.getState().boardConfig);
+        Renderer.fitToBoard();
+        UI?.updateCanvasMessage(state.polygons.length);
+        AppState.resetHistory();
+        AppState.recordHistory();
 
         if (!options.skipDirtyFlag) {
             AppState.markDirty();
@@ -5,13 +5,10 @@
  * once the DOM is ready.
  */
 const Main = (() => {
+    // Geometry lives in world space, so a resize only needs the view refitted.
     const debouncedResize = Utils.debounce(() => {
         Renderer.resizeCanvas();
-        Interactions.generateBoard(AppState.getState().boardConfig, {
-            preserveColors: true,
-            preserveHistory: true,
-            skipDirtyFlag: true
-        });
+        Renderer.fitToBoard();
     }, 250);
 
     function initializeApp() {
@@ -31,6 +28,7 @@ const Main = (() => {
         FileManager.init(uiRefs);
         Exporter.init(uiRefs);
         FileManager.setupAutoSave();
+        window.addEventListener('resize', debouncedResize);
 
         const autoSaved = FileManager.loadAutoSave();
         if (autoSaved) {
@@ -40,8 +38,6 @@ const Main = (() => {
 
         Interactions.generateBoard(AppState.getState().boardConfig, { skipDirtyFlag: true });
         UI.updateCanvasMessage(AppState.getState().polygons.length);
-
-        window.addEventListener('resize', debouncedResize);
     }
 
     document.addEventListener('DOMContentLoaded', initializeApp);
@@ -46,57 +46,563 @@ const Renderer = (() => {
     function clearCanvas() {
         const { ctx, canvas } = AppState.getState();
         if (!ctx || !canvas) return;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, canvas.width, canvas.height);
     }
 
     /**
-     * Draws all polygons and optional hover overlays.
+     * Draws all polygons and optional hover overlays through the viewport
+     * transform so the board can be zoomed and panned.
      */
     function renderBoard() {
-        const { ctx, canvas, polygons, hoverPolygonId } = AppState.getState();
+        const {
+            ctx,
+            canvas,
+            polygons,
+            maskedPolygons,
+            hoverPolygonId,
+            viewport,
+            activeTool,
+            brushSize,
+            paintPreview,
+            symmetryMode,
+            selectedIds,
+            selectionRect,
+            distributionLockedIds,
+            showCoordinates,
+            measurement,
+            icons,
+            edges,
+            hoverEdgeId,
+            edgeWidth,
+            vertexMarkers,
+            hoverVertexId,
+            tokens,
+            annotations,
+            selectedAnnotationId
+        } = AppState.getState();
         if (!ctx || !canvas) return;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(viewport.scale, 0, 0, viewport.scale, viewport.offsetX, viewport.offsetY);
 
-        polygons.forEach((polygon) => {
-            drawPolygon(polygon);
-        });
+        drawCells(ctx, polygons, viewport.scale);
+
+        if (activeTool === 'sculpt') {
+            drawMaskedCells(ctx, maskedPolygons, hoverPolygonId, viewport.scale);
+        }
+
+        if (symmetryMode !== 'none') {
+            drawSymmetryGuides(ctx, viewport.scale);
+        }
 
         if (hoverPolygonId) {
-            const hovered = polygons.find((poly) => poly.id === hoverPolygonId);
-            if (hovered) {
+            // The brush previews its whole footprint (and its mirrored copies); other tools highlight one cell.
+            const steps = activeTool === 'brush' ? brushSize - 1 : 0;
+            const centers =
+                activeTool === 'brush'
+                    ? Geometry.getSymmetricCells(hoverPolygonId, symmetryMode)
+                    : [{ id: hoverPolygonId }];
+            const footprint = new Map();
+            centers.forEach((center) => {
+                Geometry.getCellsWithinSteps(center.id, steps, { polygons }).forEach((cell) => footprint.set(cell.id, cell));
+            });
+            // Highlights are tinted overlays so the layers underneath stay visible.
+            footprint.forEach((hovered) => {
                 drawPolygon(hovered, {
-                    fill: hovered.color,
+                    fill: 'transparent',
                     stroke: Config.HOVER_OUTLINE,
                     lineWidth: 2,
                     overlay: 'rgba(47, 111, 237, 0.15)'
                 });
+            });
+        }
+
+        const { polygonsById } = Geometry.getAdjacencyGraph(polygons);
+        selectedIds.forEach((id) => {
+            const cell = polygonsById.get(id);
+            if (!cell) return;
+            drawPolygon(cell, {
+                fill: 'transparent',
+                stroke: Config.SELECTION_OUTLINE,
+                lineWidth: 3,
+                overlay: 'rgba(255, 193, 7, 0.25)'
+            });
+        });
+
+        if (paintPreview) {
+            // Pending cells show the color they will receive on release.
+            paintPreview.forEach(({ id, color }) => {
+                const cell = polygonsById.get(id);
+                if (!cell) return;
+                drawPolygon(cell, {
+                    fill: color || Config.DEFAULT_TILE_COLOR,
+                    stroke: Config.HOVER_OUTLINE,
+                    lineWidth: 2,
+                    overlay: 'rgba(255, 255, 255, 0.25)'
+                });
+            });
+        }
+
+        // Cells locked in the distribution dialog keep their tile when it re-rolls.
+        distributionLockedIds.forEach((id) => {
+            const cell = polygonsById.get(id);
+            if (!cell) return;
+            drawPolygon(cell, { fill: 'transparent', stroke: Config.LOCKED_CELL_OUTLINE, lineWidth: 4 });
+        });
+
+        // Icons and edges go over cell highlights so they stay visible while painting next to them.
+        drawIcons(ctx, icons, polygons, getCellColors(polygons));
+        drawEdges(ctx, edges, polygons);
+        if (activeTool === 'edge' && hoverEdgeId) {
+            const edge = Geometry.getSharedEdges(polygons).get(hoverEdgeId);
+            if (edge) {
+                ctx.save();
+                strokeEdge(ctx, edge, { color: Config.HOVER_OUTLINE, width: Math.max(edgeWidth, 3 / viewport.scale) });
+                ctx.restore();
+            }
+        }
+        drawVertexMarkers(ctx, vertexMarkers, polygons);
+        if (activeTool === 'vertex' && hoverVertexId) {
+            const vertex = Geometry.getVertices(polygons).get(hoverVertexId);
+            if (vertex) {
+                ctx.save();
+                ctx.strokeStyle = Config.HOVER_OUTLINE;
+                ctx.lineWidth = 2 / viewport.scale;
+                ctx.beginPath();
+                ctx.arc(vertex.point.x, vertex.point.y, Config.VERTEX_MARKER_RADIUS * 1.3, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
             }
         }
+        drawTokens(ctx, tokens, polygons);
+        drawAnnotations(ctx, annotations, polygons, {
+            selectedId: activeTool === 'text' ? selectedAnnotationId : null,
+            scale: viewport.scale
+        });
+
+        if (measurement) {
+            drawMeasurement(ctx, measurement, polygonsById, viewport.scale);
+        }
+
+        if (showCoordinates) {
+            drawCoordinateLabels(ctx, getCoordinateLabels(), {
+                minFontSize: Config.MIN_LABEL_SCREEN_SIZE / viewport.scale
+            });
+        }
+
+        if (selectionRect) {
+            drawSelectionRect(ctx, selectionRect, viewport.scale);
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
     }
 
     /**
-     * Draws a single polygon using current canvas context.
+     * Draws painted edges along the borders they belong to. Edges next to a
+     * removed cell are skipped along with it.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Map<string,Object>} edges - Edge styles by id.
+     * @param {Array<Object>} polygons - Cells on the board.
+     */
+    function drawEdges(ctx, edges, polygons) {
+        if (!edges.size) return;
+        const sharedEdges = Geometry.getSharedEdges(polygons);
+        ctx.save();
+        edges.forEach((style, id) => {
+            const edge = sharedEdges.get(id);
+            if (edge) strokeEdge(ctx, edge, style);
+        });
+        ctx.restore();
+    }
+
+    function strokeEdge(ctx, edge, style) {
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        ctx.lineCap = 'round';
+        ctx.setLineDash(getEdgeDashPattern(style));
+        ctx.beginPath();
+        edge.segments.forEach(({ start, end }) => {
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Dash pattern for an edge style, proportional to its width. Dots are
+     * zero-length dashes drawn with round caps.
+     *
+     * @param {{width:number,dash:string}} style - Edge style.
+     * @returns {Array<number>} Canvas/SVG dash array (empty for solid lines).
+     */
+    function getEdgeDashPattern({ width, dash }) {
+        if (dash === 'dashed') return [width * 3, width * 2];
+        if (dash === 'dotted') return [0, width * 2];
+        return [];
+    }
+
+    /**
+     * Draws the icons stamped on cells in the color that contrasts with each
+     * cell's fill, so they read on any tile and in black-and-white prints.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Map<string,Object>} icons - Stamps by cell id.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @param {Map<string,string>} cellColors - Visible cell colors from getCellColors.
+     */
+    function drawIcons(ctx, icons, polygons, cellColors) {
+        if (!icons.size) return;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        Geometry.getIconPlacements(icons, { polygons }).forEach(({ cell, stamp, x, y, size }) => {
+            ctx.fillStyle = Utils.getContrastingTextColor(cellColors.get(cell.id));
+            if (stamp.icon === 'number') {
+                const text = String(stamp.number);
+                ctx.font = `700 ${Geometry.getIconFontSize(size, text)}px ${Config.LABEL_FONT_FAMILY}`;
+                ctx.fillText(text, x, y);
+                return;
+            }
+            ctx.beginPath();
+            Geometry.getIconOutlines(stamp.icon, { x, y }, size).forEach((outline) => {
+                outline.forEach((point, index) => (index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+                ctx.closePath();
+            });
+            ctx.fill('evenodd');
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws the markers stamped on cell corners. Markers on a corner of a
+     * removed cell are skipped along with it.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Map<string,Object>} markers - Markers by vertex id.
+     * @param {Array<Object>} polygons - Cells on the board.
+     */
+    function drawVertexMarkers(ctx, markers, polygons) {
+        if (!markers.size) return;
+        const vertices = Geometry.getVertices(polygons);
+        const radius = Config.VERTEX_MARKER_RADIUS;
+        ctx.save();
+        ctx.strokeStyle = Config.VERTEX_MARKER_OUTLINE;
+        ctx.lineWidth = radius * 0.2;
+        ctx.setLineDash([]);
+        markers.forEach((marker, id) => {
+            const vertex = vertices.get(id);
+            if (!vertex) return;
+            traceShape(ctx, Geometry.getMarkerOutline(marker.shape, vertex.point, radius), vertex.point, radius);
+            ctx.fillStyle = marker.color;
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws tokens stacked on their cells, each with its label in a color
+     * that contrasts with the token.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Array<Object>} tokens - Tokens in stacking order.
+     * @param {Array<Object>} polygons - Cells on the board.
+     */
+    function drawTokens(ctx, tokens, polygons) {
+        if (!tokens.length) return;
+        ctx.save();
+        ctx.strokeStyle = Config.TOKEN_OUTLINE;
+        ctx.setLineDash([]);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        Geometry.getTokenPlacements(tokens, { polygons }).forEach(({ token, x, y, radius }) => {
+            const center = { x, y };
+            traceShape(ctx, Geometry.getTokenOutline(token.shape, center, radius), center, radius);
+            ctx.fillStyle = token.color;
+            ctx.lineWidth = radius * 0.12;
+            ctx.fill();
+            ctx.stroke();
+            if (token.label) {
+                ctx.font = `600 ${Geometry.getTokenFontSize(radius, token.label)}px ${Config.LABEL_FONT_FAMILY}`;
+                ctx.fillStyle = Utils.getContrastingTextColor(token.color);
+                ctx.fillText(token.label, x, y);
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws text annotations with a halo in the contrasting color so they
+     * stay readable over any tile. The selected annotation gets a dashed box.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Array<Object>} annotations - Annotations in drawing order.
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @param {Object} [options]
+     * @param {string|null} [options.selectedId=null] - Annotation to outline.
+     * @param {number} [options.scale=1] - Viewport scale, keeps the selection box thin.
+     */
+    function drawAnnotations(ctx, annotations, polygons, { selectedId = null, scale = 1 } = {}) {
+        if (!annotations.length) return;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        Geometry.getAnnotationPlacements(annotations, { polygons }).forEach(({ annotation, x, y, width, height }) => {
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate((annotation.rotation * Math.PI) / 180);
+            ctx.font = `600 ${annotation.fontSize}px ${Config.LABEL_FONT_FAMILY}`;
+            ctx.setLineDash([]);
+            ctx.lineWidth = annotation.fontSize * 0.2;
+            ctx.strokeStyle = Utils.getContrastingTextColor(annotation.color);
+            ctx.strokeText(annotation.text, 0, 0);
+            ctx.fillStyle = annotation.color;
+            ctx.fillText(annotation.text, 0, 0);
+            if (annotation.id === selectedId) {
+                const padding = height * 0.25;
+                ctx.strokeStyle = Config.SELECTION_OUTLINE;
+                ctx.lineWidth = 2 / scale;
+                ctx.setLineDash([6 / scale, 4 / scale]);
+                ctx.strokeRect(-width / 2 - padding, -height / 2 - padding, width + padding * 2, height + padding * 2);
+            }
+            ctx.restore();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Starts a path along an outline, or a circle when the outline is empty.
+     */
+    function traceShape(ctx, outline, center, radius) {
+        ctx.beginPath();
+        if (!outline.length) {
+            ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            return;
+        }
+        outline.forEach((point, index) => (index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+        ctx.closePath();
+    }
+
+    /**
+     * Draws the ruler: shaded cells for a range, or a line between two cell
+     * centers with the step count next to its end.
+     */
+    function drawMeasurement(ctx, measurement, polygonsById, scale) {
+        if (measurement.mode === 'range') {
+            measurement.cellIds.forEach((id) => {
+                const cell = polygonsById.get(id);
+                if (!cell) return;
+                drawPolygon(cell, { fill: 'transparent', overlay: 'rgba(229, 57, 53, 0.25)' });
+            });
+            const center = polygonsById.get(measurement.centerId);
+            if (center) {
+                drawPolygon(center, {
+                    fill: 'transparent',
+                    stroke: Config.RULER_COLOR,
+                    lineWidth: 3,
+                    overlay: 'rgba(229, 57, 53, 0.35)'
+                });
+            }
+            return;
+        }
+
+        const start = polygonsById.get(measurement.startId);
+        const end = polygonsById.get(measurement.endId);
+        if (!start || !end) return;
+        ctx.save();
+        ctx.strokeStyle = Config.RULER_COLOR;
+        ctx.fillStyle = Config.RULER_COLOR;
+        ctx.lineWidth = 3 / scale;
+        ctx.beginPath();
+        ctx.moveTo(start.center.x, start.center.y);
+        ctx.lineTo(end.center.x, end.center.y);
+        ctx.stroke();
+        [start, end].forEach((cell) => {
+            ctx.beginPath();
+            ctx.arc(cell.center.x, cell.center.y, 5 / scale, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        const { distance } = measurement;
+        const text = distance === null ? 'No path' : `${distance} ${distance === 1 ? 'step' : 'steps'}`;
+        const fontSize = 13 / scale;
+        const padding = 5 / scale;
+        ctx.font = `600 ${fontSize}px ${Config.LABEL_FONT_FAMILY}`;
+        const width = ctx.measureText(text).width + padding * 2;
+        const height = fontSize + padding * 2;
+        // The badge sits above and to the right of the end point so it does not hide the cell.
+        const x = end.center.x + 8 / scale;
+        const y = end.center.y - 8 / scale - height;
+        ctx.fillRect(x, y, width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + padding, y + height / 2);
+        ctx.restore();
+    }
+
+    /**
+     * Coordinate labels for the cells on the board. Masked cells still count
+     * towards numbering so labels do not shift while sculpting.
+     *
+     * @returns {Array<Object>} Labels from Geometry.getCoordinateLabels.
+     */
+    function getCoordinateLabels() {
+        const { polygons, maskedPolygons, coordinateNotation, boardConfig } = AppState.getState();
+        const cellColors = getCellColors(polygons);
+        return Geometry.getCoordinateLabels(polygons, coordinateNotation, {
+            grid: polygons.concat(maskedPolygons),
+            orientation: boardConfig.orientation
+        }).map((label) => ({ ...label, color: cellColors.get(label.id) }));
+    }
+
+    /**
+     * Color each cell shows once the visible layers are composited over the
+     * blank tile color, for picking readable text and icon colors.
+     *
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @returns {Map<string,string>} Hex colors by cell id.
+     */
+    function getCellColors(polygons) {
+        const cellColors = new Map(polygons.map((polygon) => [polygon.id, Config.DEFAULT_FILL]));
+        AppState.getState().layers.forEach((layer) => {
+            if (!layer.visible) return;
+            AppState.getLayerColors(layer.id).forEach((color, id) => {
+                if (cellColors.has(id)) {
+                    cellColors.set(id, Utils.blendColors(cellColors.get(id), color, layer.opacity));
+                }
+            });
+        });
+        return cellColors;
+    }
+
+    /**
+     * Draws the board's cells: blank tiles, then every visible layer with its
+     * opacity from bottom to top, then the grid lines over them.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Array<Object>} polygons - Cells on the board.
+     * @param {number} scale - Pixels per world unit, keeps grid lines one pixel wide.
+     */
+    function drawCells(ctx, polygons, scale) {
+        ctx.save();
+        ctx.fillStyle = Config.DEFAULT_FILL;
+        polygons.forEach((polygon) => {
+            tracePolygon(ctx, polygon);
+            ctx.fill();
+        });
+        AppState.getState().layers.forEach((layer) => {
+            if (!layer.visible || !layer.opacity) return;
+            const colors = AppState.getLayerColors(layer.id);
+            ctx.globalAlpha = layer.opacity;
+            polygons.forEach((polygon) => {
+                const color = colors.get(polygon.id);
+                if (!color) return;
+                tracePolygon(ctx, polygon);
+                ctx.fillStyle = color;
+                ctx.fill();
+            });
+        });
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = Config.GRID_STROKE;
+        ctx.lineWidth = 1 / scale;
+        polygons.forEach((polygon) => {
+            tracePolygon(ctx, polygon);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Writes labels centered on their cells in a color that contrasts with
+     * the cell fill.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Target context (already in world space).
+     * @param {Array<Object>} labels - Labels from getCoordinateLabels.
+     * @param {Object} [options]
+     * @param {number} [options.minFontSize=0] - Labels below this world size are skipped.
+     */
+    function drawCoordinateLabels(ctx, labels, options = {}) {
+        const minFontSize = options.minFontSize || 0;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        labels.forEach((label) => {
+            if (label.fontSize < minFontSize) return;
+            ctx.font = `${label.fontSize}px ${Config.LABEL_FONT_FAMILY}`;
+            ctx.fillStyle = Utils.getContrastingTextColor(label.color);
+            ctx.fillText(label.text, label.x, label.y);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Shows removed cells as dashed outlines while sculpting so they can be
+     * clicked back onto the board.
+     */
+    function drawMaskedCells(ctx, maskedPolygons, hoverPolygonId, scale) {
+        ctx.save();
+        ctx.setLineDash([4 / scale, 4 / scale]);
+        maskedPolygons.forEach((polygon) => {
+            const hovered = polygon.id === hoverPolygonId;
+            drawPolygon(polygon, {
+                fill: hovered ? 'rgba(47, 111, 237, 0.2)' : 'rgba(255, 255, 255, 0.04)',
+                stroke: hovered ? Config.HOVER_OUTLINE : Config.MASKED_CELL_OUTLINE,
+                lineWidth: hovered ? 2 : 1
+            });
+        });
+        ctx.restore();
+    }
+
+    function drawSelectionRect(ctx, rect, scale) {
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 193, 7, 0.12)';
+        ctx.strokeStyle = Config.SELECTION_OUTLINE;
+        ctx.lineWidth = 1.5 / scale;
+        ctx.setLineDash([6 / scale, 4 / scale]);
+        ctx.fillRect(rect.minX, rect.minY, rect.maxX - rect.minX, rect.maxY - rect.minY);
+        ctx.strokeRect(rect.minX, rect.minY, rect.maxX - rect.minX, rect.maxY - rect.minY);
+        ctx.restore();
+    }
+
+    /**
+     * Draws dashed symmetry axes (or rotation sector lines) over the board.
+     */
+    function drawSymmetryGuides(ctx, scale) {
+        const { symmetryMode } = AppState.getState();
+        ctx.save();
+        ctx.strokeStyle = Config.SYMMETRY_GUIDE;
+        ctx.lineWidth = 2 / scale;
+        ctx.setLineDash([8 / scale, 6 / scale]);
+        Geometry.getSymmetryGuides(symmetryMode).forEach(({ start, end }) => {
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws a single polygon using current canvas context. Line widths are
+     * given in screen pixels and compensated for the zoom level.
      *
      * @param {Object} polygon - Polygon definition from the grid.
      * @param {Object} [options] - Override styles.
+     * @param {CanvasRenderingContext2D} [options.ctx] - Target context (defaults to the board canvas).
+     * @param {number} [options.scale] - Pixels per world unit (defaults to the viewport zoom).
      */
     function drawPolygon(polygon, options = {}) {
-        const { ctx } = AppState.getState();
+        const ctx = options.ctx || AppState.getState().ctx;
         if (!ctx) return;
+        const scale = options.scale || AppState.getState().viewport.scale;
         const fill = options.fill || polygon.color || Config.DEFAULT_FILL;
         const stroke = options.stroke || Config.GRID_STROKE;
-        const lineWidth = options.lineWidth || 1;
-
-        ctx.beginPath();
-        polygon.vertices.forEach((vertex, index) => {
-            if (index === 0) {
-                ctx.moveTo(vertex.x, vertex.y);
-            } else {
-                ctx.lineTo(vertex.x, vertex.y);
-            }
-        });
-        ctx.closePath();
+        const lineWidth = (options.lineWidth || 1) / scale;
 
+        tracePolygon(ctx, polygon);
         ctx.fillStyle = fill;
         ctx.fill();
 
@@ -112,11 +618,152 @@ const Renderer = (() => {
         ctx.stroke();
     }
 
+    function tracePolygon(ctx, polygon) {
+        ctx.beginPath();
+        polygon.vertices.forEach((vertex, index) => {
+            if (index === 0) {
+                ctx.moveTo(vertex.x, vertex.y);
+            } else {
+                ctx.lineTo(vertex.x, vertex.y);
+            }
+        });
+        ctx.closePath();
+    }
+
+    /**
+     * Converts a point in canvas pixels into world coordinates.
+     *
+     * @param {{x:number,y:number}} point - Canvas-space point.
+     * @returns {{x:number,y:number}} World-space point.
+     */
+    function screenToWorld(point) {
+        const { scale, offsetX, offsetY } = AppState.getState().viewport;
+        return {
+            x: (point.x - offsetX) / scale,
+            y: (point.y - offsetY) / scale
+        };
+    }
+
+    /**
+     * Zooms by a factor while keeping the given canvas point fixed on screen.
+     *
+     * @param {{x:number,y:number}} screenPoint - Zoom anchor in canvas pixels.
+     * @param {number} factor - Multiplier applied to the current scale.
+     */
+    function zoomAt(screenPoint, factor) {
+        const { viewport } = AppState.getState();
+        const scale = clampZoom(viewport.scale * factor);
+        const ratio = scale / viewport.scale;
+        AppState.setViewport({
+            scale,
+            offsetX: screenPoint.x - (screenPoint.x - viewport.offsetX) * ratio,
+            offsetY: screenPoint.y - (screenPoint.y - viewport.offsetY) * ratio
+        });
+        UI?.updateZoomIndicator(scale);
+        renderBoard();
+    }
+
+    /**
+     * Zooms around the middle of the canvas (used by the zoom buttons).
+     *
+     * @param {number} factor - Multiplier applied to the current scale.
+     */
+    function zoomBy(factor) {
+        const { canvas } = AppState.getState();
+        if (!canvas) return;
+        zoomAt({ x: canvas.width / 2, y: canvas.height / 2 }, factor);
+    }
+
+    /**
+     * Shifts the view by a screen-space delta.
+     *
+     * @param {number} dx - Horizontal delta in canvas pixels.
+     * @param {number} dy - Vertical delta in canvas pixels.
+     */
+    function panBy(dx, dy) {
+        const { viewport } = AppState.getState();
+        AppState.setViewport({
+            offsetX: viewport.offsetX + dx,
+            offsetY: viewport.offsetY + dy
+        });
+        renderBoard();
+    }
+
+    /**
+     * Scales and centers the view so the whole board is visible.
+     */
+    function fitToBoard() {
+        const { canvas, polygons } = AppState.getState();
+        const bounds = Geometry.getPolygonsBounds(polygons);
+        if (!canvas || !bounds) {
+            renderBoard();
+            return;
+        }
+        const availableWidth = Math.max(1, canvas.width - Config.CANVAS_PADDING * 2);
+        const availableHeight = Math.max(1, canvas.height - Config.CANVAS_PADDING * 2);
+        const scale = clampZoom(
+            Math.min(availableWidth / Math.max(bounds.width, 1), availableHeight / Math.max(bounds.height, 1))
+        );
+        AppState.setViewport({
+            scale,
+            offsetX: (canvas.width - bounds.width * scale) / 2 - bounds.minX * scale,
+            offsetY: (canvas.height - bounds.height * scale) / 2 - bounds.minY * scale
+        });
+        UI?.updateZoomIndicator(scale);
+        renderBoard();
+    }
+
+    function clampZoom(scale) {
+        return Math.min(Config.MAX_ZOOM, Math.max(Config.MIN_ZOOM, scale));
+    }
+
+    /**
+     * Renders the full board (ignoring the on-screen viewport) into a new
+     * canvas for PNG/PDF export.
+     *
+     * @returns {HTMLCanvasElement|null} Offscreen canvas or null when the board is empty.
+     */
+    function renderExportCanvas() {
+        const { polygons } = AppState.getState();
+        const bounds = Geometry.getPolygonsBounds(polygons);
+        if (!bounds) return null;
+        const padding = Config.CANVAS_PADDING;
+        const largestSide = Math.max(bounds.width, bounds.height, 1);
+        const scale = Math.min(Config.EXPORT_SCALE, (Config.EXPORT_MAX_DIMENSION - padding * 2) / largestSide);
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = Math.ceil(bounds.width * scale + padding * 2);
+        exportCanvas.height = Math.ceil(bounds.height * scale + padding * 2);
+        const ctx = exportCanvas.getContext('2d');
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.setTransform(scale, 0, 0, scale, padding - bounds.minX * scale, padding - bounds.minY * scale);
+        drawCells(ctx, polygons, scale);
+        drawIcons(ctx, AppState.getState().icons, polygons, getCellColors(polygons));
+        drawEdges(ctx, AppState.getState().edges, polygons);
+        drawVertexMarkers(ctx, AppState.getState().vertexMarkers, polygons);
+        if (AppState.getState().exportTokens) {
+            drawTokens(ctx, AppState.getState().tokens, polygons);
+        }
+        drawAnnotations(ctx, AppState.getState().annotations, polygons);
+        if (AppState.getState().exportCoordinates) {
+            drawCoordinateLabels(ctx, getCoordinateLabels());
+        }
+        return exportCanvas;
+    }
     return {
         initializeCanvas,
         resizeCanvas,
         clearCanvas,
         renderBoard,
-        drawPolygon
+        drawPolygon,
+        getEdgeDashPattern,
+        getCoordinateLabels,
+        getCellColors,
+        screenToWorld,
+        zoomAt,
+        zoomBy,
+        panBy,
+        fitToBoard,
+        renderExportCanvas
     };
 })();
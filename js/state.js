@@ -6,19 +6,206 @@
  * state through this API to keep mutations predictable.
  */
 const AppState = (() => {
+    let nextTokenId = 1;
+    let nextAnnotationId = 1;
+    let nextLayerId = 1;
     const state = {
         canvas: null,
         ctx: null,
         polygons: [],
+        /**
+         * Cells switched off with the sculpt tool. They keep their geometry
+         * and color so they can be switched back on, but are not part of
+         * `polygons`, so rendering, hit-testing and exports skip them.
+         */
+        maskedPolygons: [],
+        /**
+         * Paint layers from bottom to top: `[{ id, name, visible, locked,
+         * opacity, colors }]`, where `colors` maps cell ids to colors (cells
+         * without an entry are transparent). The active layer's colors are
+         * mirrored on the polygons (`polygon.color`, the blank tile color for
+         * cells it leaves transparent) so tools can read them directly; paint
+         * through setCellColor and read layer colors through getLayerColors.
+         */
+        layers: [],
+        activeLayerId: null,
+        /**
+         * Painted edges (walls, rivers, borders) keyed by edge id (see
+         * Geometry.getEdgeId): `Map<id, { color, width, dash }>`. Width is in
+         * world units so edges scale with the board.
+         */
+        edges: new Map(),
+        /**
+         * Markers stamped on cell corners keyed by vertex id (see
+         * Geometry.getVertices): `Map<id, { shape, color }>`.
+         */
+        vertexMarkers: new Map(),
+        /**
+         * Game pieces in stacking order (later tokens sit on top):
+         * `[{ id, cellId, shape, color, label }]`.
+         */
+        tokens: [],
+        /**
+         * Icons stamped on cells keyed by cell id, like cell colors:
+         * `Map<id, { icon, number }>`. `number` is only set on numeral stamps.
+         */
+        icons: new Map(),
+        /**
+         * Text annotations in drawing order: `[{ id, text, fontSize, color,
+         * rotation, cellId, x, y }]`. Anchored annotations have a `cellId`
+         * and sit on that cell's center; free ones use the world `x`/`y`.
+         */
+        annotations: [],
+        selectedAnnotationId: null,
         boardConfig: { ...Config.DEFAULT_BOARD_CONFIG },
         currentColor: Config.getDefaultPalette().colors[0].hex,
         currentPaletteId: Config.DEFAULT_PALETTE_ID,
         availablePalettes: [],
         /**
-         * When true, painting uses the eraser and resets tiles to the default
-         * blank color instead of applying a swatch color.
+         * When true, painting uses the eraser and removes cells from the
+         * active layer instead of applying a swatch color.
          */
         isEraserActive: false,
+        /**
+         * Colors picked with the eyedropper that are not part of any palette,
+         * most recent first.
+         */
+        recentColors: [],
+        /**
+         * Active painting tool: 'brush' colors cells under the pointer,
+         * 'fill' floods a same-colored region, 'line'/'rect'/'range' paint
+         * shapes, 'eyedropper' picks a cell's color, 'sculpt' switches cells
+         * on and off, 'ruler' measures distances, 'edge' paints cell borders,
+         * 'vertex' stamps markers on cell corners, 'token' places and moves pieces,
+         * 'text' places and edits annotations, 'icon' stamps icons on cells.
+         */
+        activeTool: 'brush',
+        /**
+         * When true, the rectangle tool paints only the border and the hex
+         * range tool only the outer ring.
+         */
+        shapeOutline: false,
+        /**
+         * Pending paint from shape, move and paste gestures, shown as an
+         * overlay until committed: `[{ id, color }]` or null.
+         */
+        paintPreview: null,
+        /**
+         * Cell ids highlighted by the selection tool.
+         */
+        selectedIds: [],
+        /**
+         * World-space marquee being dragged by the selection tool, or null.
+         */
+        selectionRect: null,
+        /**
+         * Last copied/cut cells (see GeometryClipboard.captureCells), or null.
+         */
+        clipboard: null,
+        /**
+         * True while pasted content follows the pointer waiting for a click.
+         */
+        isPasting: false,
+        /**
+         * Symmetry applied to every paint operation: 'none', 'mirror-x',
+         * 'mirror-y', 'mirror-xy', or 'rotate-2' / 'rotate-3' / 'rotate-6'.
+         */
+        symmetryMode: 'none',
+        /**
+         * When true, the fill tool recolors every matching cell on the board
+         * instead of only the contiguous region under the pointer.
+         */
+        fillAllMatching: false,
+        /**
+         * Ruler behavior: 'measure' drags a line between two cells, 'range'
+         * shades every cell within `rulerRange` steps of a clicked cell.
+         */
+        rulerMode: 'measure',
+        rulerRange: 3,
+        /**
+         * Square-grid distance used by the ruler: 'manhattan' or 'chebyshev'.
+         */
+        distanceMetric: 'manhattan',
+        /**
+         * Current ruler result drawn over the board, or null:
+         * `{ mode: 'measure', startId, endId, distance }` or
+         * `{ mode: 'range', centerId, steps, cellIds }`.
+         */
+        measurement: null,
+        /**
+         * Style given to edges by the edge tool (the color is the current color).
+         */
+        edgeWidth: 4,
+        edgeDash: 'solid',
+        /**
+         * Edge the edge tool would paint at the pointer, or null.
+         */
+        hoverEdgeId: null,
+        /**
+         * Shape stamped by the vertex tool (the color is the current color).
+         */
+        markerShape: 'circle',
+        /**
+         * Corner the vertex tool would stamp at the pointer, or null.
+         */
+        hoverVertexId: null,
+        /**
+         * Shape and label given to new tokens (the color is the current color).
+         */
+        tokenShape: 'circle',
+        tokenLabel: '',
+        /**
+         * Whether tokens are drawn in PNG/SVG/PDF exports.
+         */
+        exportTokens: true,
+        /**
+         * Icon stamped by the icon tool, and the value of numeral stamps.
+         */
+        iconName: 'tree',
+        iconNumber: 1,
+        /**
+         * Terrain generator settings: noise seed, feature size in cells and
+         * band thresholds (0-1) overriding palette defaults, keyed by palette
+         * id and then swatch label (palettes share labels such as "Water").
+         */
+        terrainSeed: Config.DEFAULT_BOARD_CONFIG.seed,
+        terrainScale: Config.DEFAULT_TERRAIN_SCALE,
+        terrainThresholds: {},
+        /**
+         * Tile distribution settings. Counts and the swatches kept apart
+         * are keyed by lowercase swatch color; border cells are kept as
+         * `distributionBorderColor` when it is set. `distributionTarget` is
+         * 'empty' or 'selected'. Locked cells keep their rolled tile on re-roll.
+         */
+        distributionCounts: {},
+        distributionSpread: [],
+        distributionBorderColor: null,
+        distributionTarget: 'empty',
+        distributionSeed: Config.DEFAULT_BOARD_CONFIG.seed,
+        distributionLockedIds: [],
+        /**
+         * Settings of the text tool: applied to the selected annotation and
+         * to new ones (the color is the current color). New annotations are
+         * anchored to the cell under the pointer when `anchorAnnotations` is set.
+         */
+        annotationText: Config.DEFAULT_ANNOTATION_TEXT,
+        annotationFontSize: 16,
+        annotationRotation: 0,
+        anchorAnnotations: true,
+        /**
+         * Coordinate label notation: 'offset', 'axial', 'chess' or 'wargame'.
+         */
+        coordinateNotation: 'offset',
+        /**
+         * Whether coordinate labels are drawn on the board and in PNG/SVG/PDF exports.
+         */
+        showCoordinates: false,
+        exportCoordinates: false,
+        /**
+         * Brush footprint in cells: 1 paints only the hovered cell, N also
+         * paints every cell within N - 1 steps of it.
+         */
+        brushSize: 1,
         /**
          * Controls whether auto-save is enabled. When false, auto-save timers
          * and save attempts are skipped.
@@ -39,8 +226,21 @@ const AppState = (() => {
          * Stores the last polygon id colored during a single drag action
          * to avoid repainting the same cell repeatedly.
          */
-        lastColoredPolygonId: null
+        lastColoredPolygonId: null,
+        /**
+         * View transform applied by the renderer: screen = world * scale + offset.
+         */
+        viewport: { scale: 1, offsetX: 0, offsetY: 0 },
+        /**
+         * When true, dragging on the canvas pans the view instead of painting.
+         */
+        isPanModeActive: false,
+        /**
+         * Indicates a pan drag is in progress (pan mode, middle button, or Space).
+         */
+        isPanning: false
     };
+    resetLayers();
 
     /**
      * Saves the canvas/context references after initialization.
@@ -63,13 +263,424 @@ const AppState = (() => {
     }
 
     /**
-     * Updates stored polygons and resets hover selection.
+     * Updates stored polygons and resets hover and cell selection. Cells
+     * listed in `maskedIds` are set aside as masked instead.
      *
-     * @param {Array<Object>} polygons - Fresh polygon array.
+     * @param {Array<Object>} polygons - Fresh polygon array (the whole grid).
+     * @param {Array<string>} [maskedIds=[]] - Ids of cells that are switched off.
      */
-    function setPolygons(polygons) {
-        state.polygons = polygons;
+    function setPolygons(polygons, maskedIds = []) {
+        const masked = new Set(maskedIds);
+        state.polygons = polygons.filter((polygon) => !masked.has(polygon.id));
+        state.maskedPolygons = polygons.filter((polygon) => masked.has(polygon.id));
         state.hoverPolygonId = null;
+        state.hoverEdgeId = null;
+        state.hoverVertexId = null;
+        state.selectedIds = [];
+        state.measurement = null;
+    }
+
+    /**
+     * Paints or removes a single edge.
+     *
+     * @param {string} id - Edge id.
+     * @param {{color:string,width:number,dash:string}|null} style - Edge style, or null to remove the edge.
+     * @returns {boolean} True when the edge changed.
+     */
+    function setEdge(id, style) {
+        const current = state.edges.get(id);
+        if (!style) {
+            return state.edges.delete(id);
+        }
+        if (current && current.color === style.color && current.width === style.width && current.dash === style.dash) {
+            return false;
+        }
+        state.edges.set(id, { color: style.color, width: style.width, dash: style.dash });
+        return true;
+    }
+
+    /**
+     * Replaces every painted edge.
+     *
+     * @param {Map<string,Object>|Array<Array>} edges - Edge styles by id (or `[id, style]` pairs).
+     */
+    function setEdges(edges) {
+        state.edges = new Map(edges);
+    }
+
+    /**
+     * Stamps or removes the marker on a corner.
+     *
+     * @param {string} id - Vertex id.
+     * @param {{shape:string,color:string}|null} marker - Marker, or null to remove it.
+     * @returns {boolean} True when the corner changed.
+     */
+    function setVertexMarker(id, marker) {
+        const current = state.vertexMarkers.get(id);
+        if (!marker) {
+            return state.vertexMarkers.delete(id);
+        }
+        if (current && current.shape === marker.shape && current.color === marker.color) {
+            return false;
+        }
+        state.vertexMarkers.set(id, { shape: marker.shape, color: marker.color });
+        return true;
+    }
+
+    /**
+     * Replaces every corner marker.
+     *
+     * @param {Map<string,Object>|Array<Array>} markers - Markers by vertex id (or `[id, marker]` pairs).
+     */
+    function setVertexMarkers(markers) {
+        state.vertexMarkers = new Map(markers);
+    }
+
+    /**
+     * Stamps or removes the icon on a cell.
+     *
+     * @param {string} id - Cell id.
+     * @param {{icon:string,number:?number}|null} stamp - Icon stamp, or null to remove it.
+     * @returns {boolean} True when the cell's icon changed.
+     */
+    function setIcon(id, stamp) {
+        const current = state.icons.get(id);
+        if (!stamp) {
+            return state.icons.delete(id);
+        }
+        const number = stamp.icon === 'number' ? stamp.number : null;
+        if (current && current.icon === stamp.icon && current.number === number) {
+            return false;
+        }
+        state.icons.set(id, { icon: stamp.icon, number });
+        return true;
+    }
+
+    /**
+     * Replaces every icon stamp.
+     *
+     * @param {Map<string,Object>|Array<Array>} icons - Stamps by cell id (or `[id, stamp]` pairs).
+     */
+    function setIcons(icons) {
+        state.icons = new Map(icons);
+    }
+
+    /**
+     * Puts a new token on top of a cell's stack.
+     *
+     * @param {{cellId:string,shape:string,color:string,label:string}} token - Token to place.
+     * @returns {Object} The stored token, with its id.
+     */
+    function addToken(token) {
+        const stored = {
+            id: `token-${nextTokenId++}`,
+            cellId: token.cellId,
+            shape: token.shape,
+            color: token.color,
+            label: token.label || ''
+        };
+        state.tokens.push(stored);
+        return stored;
+    }
+
+    /**
+     * Moves a token onto another cell, on top of the stack there.
+     *
+     * @param {string} id - Token id.
+     * @param {string} cellId - Destination cell id.
+     * @returns {boolean} True when the token changed cells.
+     */
+    function moveToken(id, cellId) {
+        const token = state.tokens.find((entry) => entry.id === id);
+        if (!token || token.cellId === cellId) return false;
+        state.tokens = state.tokens.filter((entry) => entry !== token).concat({ ...token, cellId });
+        return true;
+    }
+
+    /**
+     * Deletes a token.
+     *
+     * @param {string} id - Token id.
+     * @returns {boolean} True when a token was removed.
+     */
+    function removeToken(id) {
+        const count = state.tokens.length;
+        state.tokens = state.tokens.filter((entry) => entry.id !== id);
+        return state.tokens.length !== count;
+    }
+
+    /**
+     * Replaces every token. Tokens without an id get a new one.
+     *
+     * @param {Array<Object>} tokens - Tokens in stacking order.
+     */
+    function setTokens(tokens) {
+        state.tokens = tokens.map((token) => ({ ...token, id: token.id || `token-${nextTokenId++}` }));
+    }
+
+    /**
+     * Adds a text annotation on top of the others.
+     *
+     * @param {{text:string,fontSize:number,color:string,rotation:number,cellId:?string,x:number,y:number}} annotation
+     *   Annotation to add.
+     * @returns {Object} The stored annotation, with its id.
+     */
+    function addAnnotation(annotation) {
+        const stored = { ...annotation, id: `annotation-${nextAnnotationId++}` };
+        state.annotations.push(stored);
+        return stored;
+    }
+
+    /**
+     * Changes some properties of an annotation.
+     *
+     * @param {string} id - Annotation id.
+     * @param {Object} changes - Properties to update.
+     * @returns {boolean} True when the annotation changed.
+     */
+    function updateAnnotation(id, changes) {
+        const annotation = state.annotations.find((entry) => entry.id === id);
+        if (!annotation || Object.keys(changes).every((key) => annotation[key] === changes[key])) return false;
+        state.annotations = state.annotations.map((entry) => (entry === annotation ? { ...entry, ...changes } : entry));
+        return true;
+    }
+
+    /**
+     * Deletes an annotation (and deselects it).
+     *
+     * @param {string} id - Annotation id.
+     * @returns {boolean} True when an annotation was removed.
+     */
+    function removeAnnotation(id) {
+        const count = state.annotations.length;
+        state.annotations = state.annotations.filter((entry) => entry.id !== id);
+        if (state.selectedAnnotationId === id) {
+            state.selectedAnnotationId = null;
+        }
+        return state.annotations.length !== count;
+    }
+
+    /**
+     * Replaces every annotation. Annotations without an id get a new one.
+     *
+     * @param {Array<Object>} annotations - Annotations in drawing order.
+     */
+    function setAnnotations(annotations) {
+        state.annotations = annotations.map((annotation) => ({
+            ...annotation,
+            id: annotation.id || `annotation-${nextAnnotationId++}`
+        }));
+        if (!state.annotations.some((annotation) => annotation.id === state.selectedAnnotationId)) {
+            state.selectedAnnotationId = null;
+        }
+    }
+
+    /**
+     * Selects an annotation for editing.
+     *
+     * @param {string|null} id - Annotation id or null to deselect.
+     */
+    function setSelectedAnnotationId(id) {
+        state.selectedAnnotationId = id;
+    }
+
+    /**
+     * Switches cells off (moving them to `maskedPolygons`) or back on.
+     *
+     * @param {Array<string>} ids - Cell ids to update.
+     * @param {boolean} masked - True to remove the cells from the board.
+     * @returns {boolean} True when at least one cell changed.
+     */
+    function setCellsMasked(ids, masked) {
+        const targets = new Set(ids);
+        const source = masked ? state.polygons : state.maskedPolygons;
+        const moving = source.filter((polygon) => targets.has(polygon.id));
+        if (!moving.length) return false;
+        const remaining = source.filter((polygon) => !targets.has(polygon.id));
+        if (masked) {
+            state.polygons = remaining;
+            state.maskedPolygons = state.maskedPolygons.concat(moving);
+            state.selectedIds = state.selectedIds.filter((id) => !targets.has(id));
+        } else {
+            state.maskedPolygons = remaining;
+            state.polygons = state.polygons.concat(moving);
+        }
+        return true;
+    }
+
+    function createLayer(name, settings = {}) {
+        return {
+            id: `layer-${nextLayerId++}`,
+            name: String(name || Config.DEFAULT_LAYER_NAME).trim().slice(0, Config.MAX_LAYER_NAME_LENGTH),
+            visible: settings.visible !== false,
+            locked: Boolean(settings.locked),
+            opacity: clampOpacity(settings.opacity ?? 1),
+            colors: new Map(settings.colors || [])
+        };
+    }
+
+    function clampOpacity(opacity) {
+        const parsed = Number(opacity);
+        return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : 1;
+    }
+
+    function getActiveLayer() {
+        return state.layers.find((layer) => layer.id === state.activeLayerId);
+    }
+
+    // Puts the active layer's colors onto the polygons.
+    function loadActiveLayerColors() {
+        const colors = getActiveLayer()?.colors || new Map();
+        state.polygons.concat(state.maskedPolygons).forEach((polygon) => {
+            polygon.color = colors.get(polygon.id) || Config.DEFAULT_TILE_COLOR;
+        });
+    }
+
+    /**
+     * Colors painted on a layer.
+     *
+     * @param {string} id - Layer id.
+     * @returns {Map<string,string>} Colors by cell id (empty for unknown layers).
+     */
+    function getLayerColors(id) {
+        return state.layers.find((layer) => layer.id === id)?.colors || new Map();
+    }
+
+    /**
+     * Paints a cell on the active layer, or erases it so the layers below
+     * show through.
+     *
+     * @param {Object} polygon - Cell on the board.
+     * @param {string|null} color - Hex color, or null to erase the cell.
+     * @returns {boolean} True when the cell changed.
+     */
+    function setCellColor(polygon, color) {
+        const layer = getActiveLayer();
+        if (!layer || (layer.colors.get(polygon.id) ?? null) === color) return false;
+        if (color) {
+            layer.colors.set(polygon.id, color);
+        } else {
+            layer.colors.delete(polygon.id);
+        }
+        polygon.color = color || Config.DEFAULT_TILE_COLOR;
+        return true;
+    }
+
+    /**
+     * Makes another layer the one painting tools work on.
+     *
+     * @param {string} id - Layer id.
+     * @returns {boolean} True when the active layer changed.
+     */
+    function setActiveLayer(id) {
+        if (id === state.activeLayerId || !state.layers.some((layer) => layer.id === id)) return false;
+        state.activeLayerId = id;
+        loadActiveLayerColors();
+        return true;
+    }
+
+    /**
+     * Adds an empty layer on top of the stack and makes it active.
+     *
+     * @param {string} name - Layer name.
+     * @returns {Object} The new layer.
+     */
+    function addLayer(name) {
+        const layer = createLayer(name);
+        state.layers.push(layer);
+        setActiveLayer(layer.id);
+        return layer;
+    }
+
+    /**
+     * Deletes a layer and its colors. The last layer cannot be removed; when
+     * the active layer goes, the layer below it (or the new bottom) takes over.
+     *
+     * @param {string} id - Layer id.
+     * @returns {boolean} True when the layer was removed.
+     */
+    function removeLayer(id) {
+        const index = state.layers.findIndex((layer) => layer.id === id);
+        if (index === -1 || state.layers.length === 1) return false;
+        state.layers.splice(index, 1);
+        if (id === state.activeLayerId) {
+            state.activeLayerId = state.layers[Math.max(0, index - 1)].id;
+            loadActiveLayerColors();
+        }
+        return true;
+    }
+
+    /**
+     * Moves a layer up or down the stack.
+     *
+     * @param {string} id - Layer id.
+     * @param {number} offset - +1 moves it up (drawn later), -1 down.
+     * @returns {boolean} True when the order changed.
+     */
+    function moveLayer(id, offset) {
+        const index = state.layers.findIndex((layer) => layer.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= state.layers.length) return false;
+        const [layer] = state.layers.splice(index, 1);
+        state.layers.splice(target, 0, layer);
+        return true;
+    }
+
+    /**
+     * Changes the name, visibility, lock or opacity of a layer.
+     *
+     * @param {string} id - Layer id.
+     * @param {{name?:string,visible?:boolean,locked?:boolean,opacity?:number}} changes - Settings to update.
+     * @returns {boolean} True when the layer changed.
+     */
+    function updateLayer(id, changes) {
+        const layer = state.layers.find((entry) => entry.id === id);
+        if (!layer) return false;
+        const next = { ...layer };
+        if ('name' in changes) {
+            next.name = String(changes.name || '').trim().slice(0, Config.MAX_LAYER_NAME_LENGTH) || layer.name;
+        }
+        if ('visible' in changes) next.visible = Boolean(changes.visible);
+        if ('locked' in changes) next.locked = Boolean(changes.locked);
+        if ('opacity' in changes) next.opacity = clampOpacity(changes.opacity);
+        const changed = ['name', 'visible', 'locked', 'opacity'].some((key) => next[key] !== layer[key]);
+        Object.assign(layer, next);
+        return changed;
+    }
+
+    /**
+     * Replaces the layer stack, e.g. when a project is loaded, and puts the
+     * active layer's colors on the polygons.
+     *
+     * @param {Array<{name:string,visible:boolean,locked:boolean,opacity:number,colors:Array<Array>}>} layers
+     *   Layers from bottom to top, with `[cellId, color]` pairs.
+     * @param {number} [activeIndex=0] - Index of the layer to make active.
+     */
+    function setLayers(layers, activeIndex = 0) {
+        state.layers = layers.map((layer) => createLayer(layer.name, layer));
+        if (!state.layers.length) state.layers.push(createLayer(Config.DEFAULT_LAYER_NAME));
+        state.activeLayerId = (state.layers[activeIndex] || state.layers[0]).id;
+        loadActiveLayerColors();
+    }
+
+    /**
+     * Removes the colors of every unlocked layer.
+     */
+    function clearLayerColors() {
+        state.layers.forEach((layer) => {
+            if (layer.locked) return;
+            layer.colors = new Map();
+            if (layer.id === state.activeLayerId) loadActiveLayerColors();
+        });
+    }
+
+    /**
+     * Goes back to a single empty base layer (for a new board). Polygon
+     * colors are left as they are and become the base layer's colors.
+     */
+    function resetLayers() {
+        state.layers = [createLayer(Config.DEFAULT_LAYER_NAME)];
+        state.activeLayerId = state.layers[0].id;
     }
 
     /**
@@ -99,6 +710,18 @@ const AppState = (() => {
         state.currentColor = color;
     }
 
+    /**
+     * Moves a color to the front of the recent colors list, dropping the
+     * oldest entry once the list is full.
+     *
+     * @param {string} color - Hex color string.
+     */
+    function addRecentColor(color) {
+        const normalized = color.toLowerCase();
+        const others = state.recentColors.filter((entry) => entry !== normalized);
+        state.recentColors = [normalized, ...others].slice(0, Config.MAX_RECENT_COLORS);
+    }
+
     /**
      * Toggles the eraser mode flag.
      *
@@ -108,6 +731,382 @@ const AppState = (() => {
         state.isEraserActive = Boolean(active);
     }
 
+    /**
+     * Switches the active painting tool.
+     *
+     * @param {string} tool - Tool identifier (e.g., 'brush', 'fill').
+     */
+    function setActiveTool(tool) {
+        state.activeTool = tool;
+    }
+
+    /**
+     * Toggles whether the fill tool works across the whole board by color.
+     *
+     * @param {boolean} enabled - True to fill every matching cell.
+     */
+    function setFillAllMatching(enabled) {
+        state.fillAllMatching = Boolean(enabled);
+    }
+
+    /**
+     * Toggles outline-only painting for the rectangle and hex range tools.
+     *
+     * @param {boolean} enabled - True to paint only borders/rings.
+     */
+    function setShapeOutline(enabled) {
+        state.shapeOutline = Boolean(enabled);
+    }
+
+    /**
+     * Stores (or clears) the pending paint overlay drawn by the renderer.
+     *
+     * @param {Array<{id:string,color:string}>|null} preview - Cells and the colors they will get.
+     */
+    function setPaintPreview(preview) {
+        state.paintPreview = preview;
+    }
+
+    /**
+     * Replaces the selected cell ids.
+     *
+     * @param {Array<string>} ids - Cell ids to select.
+     */
+    function setSelectedIds(ids) {
+        state.selectedIds = Array.from(new Set(ids));
+    }
+
+    /**
+     * Stores (or clears) the marquee rectangle.
+     *
+     * @param {{minX:number,minY:number,maxX:number,maxY:number}|null} rect - World-space rectangle.
+     */
+    function setSelectionRect(rect) {
+        state.selectionRect = rect;
+    }
+
+    /**
+     * Stores copied cells for later pasting.
+     *
+     * @param {Object|null} clipboard - Captured cells.
+     */
+    function setClipboard(clipboard) {
+        state.clipboard = clipboard;
+    }
+
+    /**
+     * Toggles paste placement mode.
+     *
+     * @param {boolean} active - True while pasted cells follow the pointer.
+     */
+    function setPasting(active) {
+        state.isPasting = Boolean(active);
+    }
+
+    /**
+     * Switches the symmetry mode used while painting.
+     *
+     * @param {string} mode - Symmetry mode id.
+     */
+    function setSymmetryMode(mode) {
+        state.symmetryMode = mode;
+    }
+
+    /**
+     * Switches between measuring distances and showing ranges.
+     *
+     * @param {string} mode - 'measure' or 'range'.
+     */
+    function setRulerMode(mode) {
+        state.rulerMode = mode === 'range' ? 'range' : 'measure';
+    }
+
+    /**
+     * Sets the radius shaded by the ruler's range mode.
+     *
+     * @param {number} steps - Distance in steps (0 or more).
+     */
+    function setRulerRange(steps) {
+        state.rulerRange = Math.max(0, Math.round(Number(steps)) || 0);
+    }
+
+    /**
+     * Chooses how the ruler measures square grids.
+     *
+     * @param {string} metric - 'manhattan' or 'chebyshev'.
+     */
+    function setDistanceMetric(metric) {
+        state.distanceMetric = metric;
+    }
+
+    /**
+     * Stores (or clears) the ruler result drawn over the board.
+     *
+     * @param {Object|null} measurement - Measurement or range description.
+     */
+    function setMeasurement(measurement) {
+        state.measurement = measurement;
+    }
+
+    /**
+     * Sets the line width given to painted edges.
+     *
+     * @param {number} width - Width in world units.
+     */
+    function setEdgeWidth(width) {
+        state.edgeWidth = Math.max(1, Number(width) || 1);
+    }
+
+    /**
+     * Sets the line pattern given to painted edges.
+     *
+     * @param {string} dash - 'solid', 'dashed' or 'dotted'.
+     */
+    function setEdgeDash(dash) {
+        state.edgeDash = Geometry.EDGE_DASHES.includes(dash) ? dash : 'solid';
+    }
+
+    /**
+     * Tracks which edge is highlighted by the edge tool.
+     *
+     * @param {string|null} id - Edge id or null when none.
+     */
+    function setHoverEdgeId(id) {
+        state.hoverEdgeId = id;
+    }
+
+    /**
+     * Sets the shape stamped by the vertex tool.
+     *
+     * @param {string} shape - One of Geometry.MARKER_SHAPES.
+     */
+    function setMarkerShape(shape) {
+        state.markerShape = Geometry.MARKER_SHAPES.includes(shape) ? shape : 'circle';
+    }
+
+    /**
+     * Tracks which corner is highlighted by the vertex tool.
+     *
+     * @param {string|null} id - Vertex id or null when none.
+     */
+    function setHoverVertexId(id) {
+        state.hoverVertexId = id;
+    }
+
+    /**
+     * Sets the shape given to new tokens.
+     *
+     * @param {string} shape - One of Geometry.TOKEN_SHAPES.
+     */
+    function setTokenShape(shape) {
+        state.tokenShape = Geometry.TOKEN_SHAPES.includes(shape) ? shape : 'circle';
+    }
+
+    /**
+     * Sets the label given to new tokens, trimmed to the supported length.
+     *
+     * @param {string} label - Short label (e.g., "A", "12").
+     */
+    function setTokenLabel(label) {
+        state.tokenLabel = String(label || '').trim().slice(0, Config.MAX_TOKEN_LABEL_LENGTH);
+    }
+
+    /**
+     * Toggles tokens in exported images.
+     *
+     * @param {boolean} enabled - True to include tokens in exports.
+     */
+    function setExportTokens(enabled) {
+        state.exportTokens = Boolean(enabled);
+    }
+
+    /**
+     * Sets the icon stamped by the icon tool.
+     *
+     * @param {string} icon - One of Geometry.ICON_NAMES.
+     */
+    function setIconName(icon) {
+        state.iconName = Geometry.ICON_NAMES.includes(icon) ? icon : 'tree';
+    }
+
+    /**
+     * Sets the value of numeral stamps, clamped to 0..MAX_ICON_NUMBER.
+     *
+     * @param {number} value - Numeral to stamp.
+     */
+    function setIconNumber(value) {
+        const parsed = Math.round(Number(value)) || 0;
+        state.iconNumber = Math.min(Config.MAX_ICON_NUMBER, Math.max(0, parsed));
+    }
+
+    /**
+     * Sets the terrain generator's noise seed.
+     *
+     * @param {number} seed - Non-negative integer seed.
+     */
+    function setTerrainSeed(seed) {
+        state.terrainSeed = Math.max(0, Math.floor(Number(seed)) || 0);
+    }
+
+    /**
+     * Sets the terrain feature size, clamped to the configured range.
+     *
+     * @param {number} scale - Feature size in cells.
+     */
+    function setTerrainScale(scale) {
+        const parsed = Number(scale) || Config.DEFAULT_TERRAIN_SCALE;
+        state.terrainScale = Math.min(Config.MAX_TERRAIN_SCALE, Math.max(Config.MIN_TERRAIN_SCALE, parsed));
+    }
+
+    /**
+     * Sets the highest elevation a swatch covers in terrain generated with
+     * its palette.
+     *
+     * @param {string} paletteId - Palette the swatch belongs to.
+     * @param {string} label - Swatch label.
+     * @param {number} upTo - Elevation from 0 to 1.
+     */
+    function setTerrainThreshold(paletteId, label, upTo) {
+        const parsed = Number(upTo);
+        if (!Number.isFinite(parsed)) return;
+        const thresholds = { ...state.terrainThresholds[paletteId], [label]: Math.min(1, Math.max(0, parsed)) };
+        state.terrainThresholds = { ...state.terrainThresholds, [paletteId]: thresholds };
+    }
+
+    /**
+     * Sets how many tiles of a swatch the distribution places.
+     *
+     * @param {string} color - Swatch color.
+     * @param {number} count - Non-negative tile count.
+     */
+    function setDistributionCount(color, count) {
+        const parsed = Math.max(0, Math.floor(Number(count)) || 0);
+        state.distributionCounts = { ...state.distributionCounts, [color.toLowerCase()]: parsed };
+    }
+
+    /**
+     * Keeps two tiles of a swatch from being distributed next to each other.
+     *
+     * @param {string} color - Swatch color.
+     * @param {boolean} spread - Whether the swatch's tiles must not touch.
+     */
+    function setDistributionSpread(color, spread) {
+        const normalized = color.toLowerCase();
+        const others = state.distributionSpread.filter((entry) => entry !== normalized);
+        state.distributionSpread = spread ? others.concat(normalized) : others;
+    }
+
+    /**
+     * Sets the color distributed border cells are kept as.
+     *
+     * @param {string|null} color - Swatch color, or null to distribute border cells like the rest.
+     */
+    function setDistributionBorderColor(color) {
+        state.distributionBorderColor = color ? color.toLowerCase() : null;
+    }
+
+    /**
+     * Chooses which cells the distribution fills.
+     *
+     * @param {string} target - 'empty' (blank cells) or 'selected'.
+     */
+    function setDistributionTarget(target) {
+        state.distributionTarget = target === 'selected' ? 'selected' : 'empty';
+    }
+
+    /**
+     * Sets the distribution's shuffle seed.
+     *
+     * @param {number} seed - Non-negative integer seed.
+     */
+    function setDistributionSeed(seed) {
+        state.distributionSeed = Math.max(0, Math.floor(Number(seed)) || 0);
+    }
+
+    /**
+     * Sets the cells that keep their rolled tile when the distribution re-rolls.
+     *
+     * @param {Array<string>} ids - Cell ids.
+     */
+    function setDistributionLockedIds(ids) {
+        state.distributionLockedIds = Array.from(new Set(ids));
+    }
+
+    /**
+     * Sets the text tool's text.
+     *
+     * @param {string} text - Annotation text.
+     */
+    function setAnnotationText(text) {
+        state.annotationText = String(text ?? '');
+    }
+
+    /**
+     * Sets the text tool's font size, clamped to the supported range.
+     *
+     * @param {number} size - Font size in world units.
+     */
+    function setAnnotationFontSize(size) {
+        const parsed = Math.round(Number(size)) || state.annotationFontSize;
+        state.annotationFontSize = Math.min(Config.MAX_ANNOTATION_FONT_SIZE, Math.max(Config.MIN_ANNOTATION_FONT_SIZE, parsed));
+    }
+
+    /**
+     * Sets the text tool's rotation, normalized to -180..180 degrees.
+     *
+     * @param {number} degrees - Clockwise rotation in degrees.
+     */
+    function setAnnotationRotation(degrees) {
+        const parsed = Math.round(Number(degrees)) || 0;
+        state.annotationRotation = ((((parsed + 180) % 360) + 360) % 360) - 180;
+    }
+
+    /**
+     * Toggles whether new annotations are anchored to the cell under the pointer.
+     *
+     * @param {boolean} enabled - True to anchor new annotations.
+     */
+    function setAnchorAnnotations(enabled) {
+        state.anchorAnnotations = Boolean(enabled);
+    }
+
+    /**
+     * Switches the notation used by coordinate labels.
+     *
+     * @param {string} notation - Notation id (see Geometry.COORDINATE_NOTATIONS).
+     */
+    function setCoordinateNotation(notation) {
+        state.coordinateNotation = notation;
+    }
+
+    /**
+     * Toggles coordinate labels on the board.
+     *
+     * @param {boolean} enabled - True to draw labels on screen.
+     */
+    function setShowCoordinates(enabled) {
+        state.showCoordinates = Boolean(enabled);
+    }
+
+    /**
+     * Toggles coordinate labels in exported images.
+     *
+     * @param {boolean} enabled - True to include labels in exports.
+     */
+    function setExportCoordinates(enabled) {
+        state.exportCoordinates = Boolean(enabled);
+    }
+
+    /**
+     * Sets the brush footprint, clamped to the supported range.
+     *
+     * @param {number} size - Brush size in cells (1 = single cell).
+     */
+    function setBrushSize(size) {
+        const parsed = Math.round(Number(size)) || 1;
+        state.brushSize = Math.min(Config.MAX_BRUSH_SIZE, Math.max(1, parsed));
+    }
+
     /**
      * Updates the auto-save enabled flag.
      *
@@ -165,6 +1164,33 @@ const AppState = (() => {
         state.lastColoredPolygonId = id;
     }
 
+    /**
+     * Merges a partial view transform into the current viewport.
+     *
+     * @param {{scale?:number,offsetX?:number,offsetY?:number}} viewport - Transform values.
+     */
+    function setViewport(viewport) {
+        state.viewport = { ...state.viewport, ...viewport };
+    }
+
+    /**
+     * Toggles the pan tool so touch and pen users can move the view.
+     *
+     * @param {boolean} active - Whether pan mode should be active.
+     */
+    function setPanModeActive(active) {
+        state.isPanModeActive = Boolean(active);
+    }
+
+    /**
+     * Flags whether a pan drag is currently in progress.
+     *
+     * @param {boolean} active - Whether the view is being dragged.
+     */
+    function setPanning(active) {
+        state.isPanning = Boolean(active);
+    }
+
     function markDirty() {
         state.isDirty = true;
     }
@@ -174,14 +1200,26 @@ const AppState = (() => {
     }
 
     /**
-     * Pushes the current polygon colors into the undo stack.
+     * Pushes the current cell colors, layers, mask, icons, edges, corner
+     * markers, tokens and annotations into the undo stack.
      */
     function recordHistory() {
-        if (!state.polygons.length) return;
-        const snapshot = state.polygons.map((polygon) => ({
-            id: polygon.id,
-            color: polygon.color
-        }));
+        const cells = state.polygons.concat(state.maskedPolygons);
+        if (!cells.length) return;
+        const snapshot = {
+            layers: state.layers.map((layer) => ({ ...layer, colors: new Map(layer.colors) })),
+            activeLayerId: state.activeLayerId,
+            colors: cells.map((polygon) => ({
+                id: polygon.id,
+                color: polygon.color
+            })),
+            maskedIds: state.maskedPolygons.map((polygon) => polygon.id),
+            icons: Array.from(state.icons, ([id, stamp]) => [id, { ...stamp }]),
+            edges: Array.from(state.edges, ([id, style]) => [id, { ...style }]),
+            vertexMarkers: Array.from(state.vertexMarkers, ([id, marker]) => [id, { ...marker }]),
+            tokens: state.tokens.map((token) => ({ ...token })),
+            annotations: state.annotations.map((annotation) => ({ ...annotation }))
+        };
 
         if (state.historyIndex < state.history.length - 1) {
             state.history.splice(state.historyIndex + 1);
@@ -195,18 +1233,38 @@ const AppState = (() => {
     }
 
     /**
-     * Applies colors from a snapshot back to the active polygons.
+     * Applies colors, layers, the cell mask, icons, edges, corner markers,
+     * tokens and annotations from a snapshot back to the board.
      *
-     * @param {Array<{id:string,color:string}>} snapshot - Stored colors.
+     * @param {{layers:Array<Object>, activeLayerId:string, colors:Array<{id:string,color:string}>,
+     *   maskedIds:Array<string>, icons:Array<Array>, edges:Array<Array>, vertexMarkers:Array<Array>,
+     *   tokens:Array<Object>, annotations:Array<Object>}} snapshot
+     *   Stored board state.
      */
     function restoreSnapshot(snapshot) {
         if (!snapshot) return;
-        const colorMap = new Map(snapshot.map((entry) => [entry.id, entry.color]));
-        state.polygons.forEach((polygon) => {
+        state.layers = snapshot.layers.map((layer) => ({ ...layer, colors: new Map(layer.colors) }));
+        state.activeLayerId = snapshot.activeLayerId;
+        const colorMap = new Map(snapshot.colors.map((entry) => [entry.id, entry.color]));
+        const cells = state.polygons.concat(state.maskedPolygons);
+        cells.forEach((polygon) => {
             if (colorMap.has(polygon.id)) {
                 polygon.color = colorMap.get(polygon.id);
             }
         });
+        state.icons = new Map(snapshot.icons.map(([id, stamp]) => [id, { ...stamp }]));
+        state.edges = new Map(snapshot.edges.map(([id, style]) => [id, { ...style }]));
+        state.vertexMarkers = new Map(snapshot.vertexMarkers.map(([id, marker]) => [id, { ...marker }]));
+        state.tokens = snapshot.tokens.map((token) => ({ ...token }));
+        setAnnotations(snapshot.annotations.map((annotation) => ({ ...annotation })));
+        const masked = new Set(snapshot.maskedIds);
+        const maskChanged =
+            masked.size !== state.maskedPolygons.length || state.maskedPolygons.some((polygon) => !masked.has(polygon.id));
+        if (maskChanged) {
+            state.polygons = cells.filter((polygon) => !masked.has(polygon.id));
+            state.maskedPolygons = cells.filter((polygon) => masked.has(polygon.id));
+            state.selectedIds = state.selectedIds.filter((id) => !masked.has(id));
+        }
     }
 
     /**
@@ -233,16 +1291,86 @@ const AppState = (() => {
         setCanvas,
         getState,
         setPolygons,
+        setCellsMasked,
+        getLayerColors,
+        setCellColor,
+        setActiveLayer,
+        addLayer,
+        removeLayer,
+        moveLayer,
+        updateLayer,
+        setLayers,
+        clearLayerColors,
+        resetLayers,
+        setEdge,
+        setEdges,
+        setIcon,
+        setIcons,
+        setVertexMarker,
+        setVertexMarkers,
+        addToken,
+        moveToken,
+        removeToken,
+        setTokens,
+        addAnnotation,
+        updateAnnotation,
+        removeAnnotation,
+        setAnnotations,
+        setSelectedAnnotationId,
         updateBoardConfig,
         setAvailablePalettes,
         setCurrentColor,
+        addRecentColor,
         setEraserActive,
+        setActiveTool,
+        setFillAllMatching,
+        setBrushSize,
+        setShapeOutline,
+        setPaintPreview,
+        setSelectedIds,
+        setSelectionRect,
+        setClipboard,
+        setPasting,
+        setSymmetryMode,
+        setRulerMode,
+        setRulerRange,
+        setDistanceMetric,
+        setMeasurement,
+        setEdgeWidth,
+        setEdgeDash,
+        setHoverEdgeId,
+        setMarkerShape,
+        setHoverVertexId,
+        setTokenShape,
+        setTokenLabel,
+        setExportTokens,
+        setIconName,
+        setIconNumber,
+        setTerrainSeed,
+        setTerrainScale,
+        setTerrainThreshold,
+        setDistributionCount,
+        setDistributionSpread,
+        setDistributionBorderColor,
+        setDistributionTarget,
+        setDistributionSeed,
+        setDistributionLockedIds,
+        setAnnotationText,
+        setAnnotationFontSize,
+        setAnnotationRotation,
+        setAnchorAnnotations,
+        setCoordinateNotation,
+        setShowCoordinates,
+        setExportCoordinates,
         setAutoSaveEnabled,
         setCurrentPaletteId,
         setHoverPolygonId,
         setProjectName,
         setDrawingActive,
         setLastColoredPolygonId,
+        setViewport,
+        setPanModeActive,
+        setPanning,
         markDirty,
         clearDirty,
         recordHistory,
@@ -8,6 +8,16 @@
 const UI = (() => {
     const elements = {};
     let notificationTimerId = null;
+    /**
+     * Grid types that cannot be generated inside a board shape. Hexagon
+     * outlines have no square lattice layout, and area maps clip their
+     * regions against convex outlines only.
+     */
+    const UNSUPPORTED_GRID_TYPES = {
+        hexagon: ['square'],
+        ring: ['areas'],
+        cross: ['areas']
+    };
 
     function init() {
         elements.canvas = document.getElementById('gameCanvas');
@@ -15,7 +25,64 @@ const UI = (() => {
         elements.paletteGrid = document.querySelector('.palette-grid');
         elements.paletteSelect = document.getElementById('paletteSelect');
         elements.eraserButton = document.getElementById('eraserButton');
+        elements.toolButtons = Array.from(document.querySelectorAll('[data-tool]'));
+        elements.toolOptionPanels = Array.from(document.querySelectorAll('[data-tool-options]'));
+        elements.fillAllToggle = document.getElementById('fillAllToggle');
+        elements.brushSizeInput = document.getElementById('brushSizeInput');
+        elements.shapeOutlineToggle = document.getElementById('shapeOutlineToggle');
+        elements.rulerModeSelect = document.getElementById('rulerModeSelect');
+        elements.rulerRangeInput = document.getElementById('rulerRangeInput');
+        elements.rulerRangeField = document.getElementById('rulerRangeField');
+        elements.distanceMetricSelect = document.getElementById('distanceMetricSelect');
+        elements.iconSelect = document.getElementById('iconSelect');
+        elements.iconNumberInput = document.getElementById('iconNumberInput');
+        elements.iconNumberField = document.getElementById('iconNumberField');
+        elements.edgeWidthSelect = document.getElementById('edgeWidthSelect');
+        elements.edgeDashSelect = document.getElementById('edgeDashSelect');
+        elements.markerShapeSelect = document.getElementById('markerShapeSelect');
+        elements.tokenShapeSelect = document.getElementById('tokenShapeSelect');
+        elements.tokenLabelInput = document.getElementById('tokenLabelInput');
+        elements.exportTokensToggle = document.getElementById('exportTokensToggle');
+        elements.annotationTextInput = document.getElementById('annotationTextInput');
+        elements.annotationFontSizeInput = document.getElementById('annotationFontSizeInput');
+        elements.annotationRotationInput = document.getElementById('annotationRotationInput');
+        elements.anchorAnnotationsToggle = document.getElementById('anchorAnnotationsToggle');
+        elements.deleteAnnotationButton = document.querySelector('[data-action="delete-annotation"]');
+        elements.layerList = document.querySelector('.layer-list');
+        elements.addLayerButton = document.querySelector('[data-action="add-layer"]');
+        elements.removeLayerButton = document.querySelector('[data-action="remove-layer"]');
+        elements.moveLayerUpButton = document.querySelector('[data-action="move-layer-up"]');
+        elements.moveLayerDownButton = document.querySelector('[data-action="move-layer-down"]');
+        elements.layerNameInput = document.getElementById('layerNameInput');
+        elements.layerOpacityInput = document.getElementById('layerOpacityInput');
+        elements.layerOpacityValue = document.getElementById('layerOpacityValue');
+        elements.terrainSeedInput = document.getElementById('terrainSeedInput');
+        elements.terrainScaleInput = document.getElementById('terrainScaleInput');
+        elements.newTerrainSeedButton = document.querySelector('[data-action="new-terrain-seed"]');
+        elements.terrainBands = document.getElementById('terrainBands');
+        elements.generateTerrainButton = document.querySelector('[data-action="generate-terrain"]');
+        elements.applyTerrainButton = document.querySelector('[data-action="apply-terrain"]');
+        elements.discardTerrainButton = document.querySelector('[data-action="discard-terrain"]');
+        elements.openDistributionButton = document.querySelector('[data-action="open-distribution"]');
+        elements.distributionDialog = document.getElementById('distributionDialog');
+        elements.distributionRows = document.getElementById('distributionRows');
+        elements.distributionTargetSelect = document.getElementById('distributionTargetSelect');
+        elements.distributionBorderSelect = document.getElementById('distributionBorderSelect');
+        elements.distributionSeedInput = document.getElementById('distributionSeedInput');
+        elements.distributionStatus = document.getElementById('distributionStatus');
+        elements.rerollDistributionButton = document.querySelector('[data-action="reroll-distribution"]');
+        elements.unlockDistributionButton = document.querySelector('[data-action="unlock-distribution"]');
+        elements.cancelDistributionButton = document.querySelector('[data-action="cancel-distribution"]');
+        elements.applyDistributionButton = document.querySelector('[data-action="apply-distribution"]');
+        elements.symmetrySelect = document.getElementById('symmetrySelect');
+        elements.copySelectionButton = document.querySelector('[data-action="copy-selection"]');
+        elements.cutSelectionButton = document.querySelector('[data-action="cut-selection"]');
+        elements.pasteSelectionButton = document.querySelector('[data-action="paste-selection"]');
+        elements.clearSelectionButton = document.querySelector('[data-action="clear-selection"]');
         elements.paletteButtons = [];
+        elements.recentColors = document.getElementById('recentColors');
+        elements.recentColorsGrid = document.querySelector('.recent-colors-grid');
+        elements.recentColorButtons = [];
         elements.gridTypeSelect = document.querySelector('select[name="gridType"]');
         elements.orientationSelect = document.querySelector('select[name="gridOrientation"]');
         elements.orientationField = document.getElementById('orientationField');
@@ -32,11 +99,28 @@ const UI = (() => {
         elements.sizeLabel = document.getElementById('sizeLabel');
         elements.triangleOrientationSelect = document.querySelector('select[name="triangleOrientation"]');
         elements.triangleOrientationField = document.getElementById('triangleOrientationField');
+        elements.innerRadiusInput = document.querySelector('input[name="innerRadius"]');
+        elements.innerRadiusField = document.getElementById('innerRadiusField');
+        elements.armWidthInput = document.querySelector('input[name="armWidth"]');
+        elements.armWidthField = document.getElementById('armWidthField');
         elements.rectangularFields = document.getElementById('rectangularFields');
+        elements.areasFields = document.getElementById('areasFields');
+        elements.regionCountInput = document.querySelector('input[name="regionCount"]');
+        elements.seedInput = document.querySelector('input[name="seed"]');
+        elements.newSeedButton = document.querySelector('[data-action="new-seed"]');
         elements.generateButton = document.querySelector('[data-action="generate-board"]');
         elements.undoButton = document.querySelector('[data-action="undo"]');
         elements.redoButton = document.querySelector('[data-action="redo"]');
         elements.clearButton = document.querySelector('[data-action="clear-board"]');
+        elements.restoreMaskedButton = document.querySelector('[data-action="restore-masked-cells"]');
+        elements.zoomInButton = document.querySelector('[data-action="zoom-in"]');
+        elements.zoomOutButton = document.querySelector('[data-action="zoom-out"]');
+        elements.zoomFitButton = document.querySelector('[data-action="zoom-fit"]');
+        elements.panButton = document.getElementById('panButton');
+        elements.coordinateNotationSelect = document.getElementById('coordinateNotationSelect');
+        elements.showCoordinatesToggle = document.getElementById('showCoordinatesToggle');
+        elements.exportCoordinatesToggle = document.getElementById('exportCoordinatesToggle');
+        elements.zoomLevel = document.getElementById('zoomLevel');
         elements.saveButton = document.getElementById('saveProjectBtn');
         elements.loadButton = document.getElementById('loadProjectBtn');
         elements.loadInput = document.getElementById('loadProject');
@@ -51,6 +135,9 @@ const UI = (() => {
             applyGridTypeRestrictions();
         });
         elements.gridTypeSelect?.addEventListener('change', applyGridTypeVisibility);
+        elements.newSeedButton?.addEventListener('click', () => {
+            if (elements.seedInput) elements.seedInput.value = Utils.generateSeed();
+        });
         elements.autoSaveToggle?.addEventListener('change', () => {
             const enabled = elements.autoSaveToggle.checked;
             AppState.setAutoSaveEnabled(enabled);
@@ -65,6 +152,37 @@ const UI = (() => {
         applyBoardShapeVisibility();
         applyGridTypeRestrictions();
         applyGridTypeVisibility();
+        setActiveTool(AppState.getState().activeTool);
+        renderLayers(AppState.getState().layers, AppState.getState().activeLayerId);
+        if (elements.layerNameInput) {
+            elements.layerNameInput.maxLength = Config.MAX_LAYER_NAME_LENGTH;
+        }
+        if (elements.tokenLabelInput) {
+            elements.tokenLabelInput.maxLength = Config.MAX_TOKEN_LABEL_LENGTH;
+        }
+        if (elements.iconNumberInput) {
+            elements.iconNumberInput.max = Config.MAX_ICON_NUMBER;
+        }
+        if (elements.annotationFontSizeInput) {
+            elements.annotationFontSizeInput.min = Config.MIN_ANNOTATION_FONT_SIZE;
+            elements.annotationFontSizeInput.max = Config.MAX_ANNOTATION_FONT_SIZE;
+        }
+        if (elements.brushSizeInput) {
+            elements.brushSizeInput.max = Config.MAX_BRUSH_SIZE;
+            elements.brushSizeInput.value = AppState.getState().brushSize;
+        }
+        if (elements.regionCountInput) {
+            elements.regionCountInput.min = Config.MIN_REGION_COUNT;
+            elements.regionCountInput.max = Config.MAX_REGION_COUNT;
+        }
+        if (elements.terrainScaleInput) {
+            elements.terrainScaleInput.min = Config.MIN_TERRAIN_SCALE;
+            elements.terrainScaleInput.max = Config.MAX_TERRAIN_SCALE;
+            elements.terrainScaleInput.value = AppState.getState().terrainScale;
+        }
+        if (elements.terrainSeedInput) {
+            elements.terrainSeedInput.value = AppState.getState().terrainSeed;
+        }
     }
 
     /**
@@ -127,10 +245,46 @@ const UI = (() => {
         if (elements.paletteSelect) {
             elements.paletteSelect.value = palette.id;
         }
+        renderTerrainBands(Geometry.getTerrainBands(palette, AppState.getState().terrainThresholds[palette.id]));
 
         return { paletteId: palette.id, color: resolvedColor };
     }
 
+    /**
+     * Rebuilds the "recent colors" strip and hides it while it is empty.
+     *
+     * @param {Array<string>} colors - Hex colors, most recent first.
+     * @param {string} [selectedColor] - Color to highlight.
+     */
+    function renderRecentColors(colors, selectedColor) {
+        if (!elements.recentColorsGrid) return;
+        elements.recentColorsGrid.innerHTML = '';
+        colors.forEach((color) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'palette-swatch recent-swatch';
+            button.dataset.color = color;
+            button.title = color;
+            button.style.setProperty('--swatch-color', color);
+            button.setAttribute('aria-label', `Recent color ${color}`);
+            button.setAttribute('aria-pressed', 'false');
+
+            const swatchSpan = document.createElement('span');
+            swatchSpan.className = 'swatch';
+            swatchSpan.setAttribute('aria-hidden', 'true');
+            button.appendChild(swatchSpan);
+            elements.recentColorsGrid.appendChild(button);
+        });
+        elements.recentColorButtons = Array.from(elements.recentColorsGrid.querySelectorAll('.recent-swatch'));
+        elements.recentColors?.classList.toggle('hidden', colors.length === 0);
+
+        const normalized = selectedColor?.toLowerCase();
+        const match = elements.recentColorButtons.find((btn) => btn.dataset.color === normalized);
+        if (match) {
+            setPaletteSelection(match);
+        }
+    }
+
     function resolvePaletteColor(palette, preferredColor) {
         const normalizedPreferred = preferredColor?.toLowerCase() || '';
         const match = palette.colors.find((entry) => entry.hex.toLowerCase() === normalizedPreferred);
@@ -169,6 +323,11 @@ const UI = (() => {
         const size = parseInt(elements.sizeInput?.value, 10) || Config.DEFAULT_BOARD_CONFIG.size;
         let width = parseInt(elements.widthInput?.value, 10) || Config.DEFAULT_BOARD_CONFIG.width;
         let height = parseInt(elements.heightInput?.value, 10) || Config.DEFAULT_BOARD_CONFIG.height;
+        const regionCount = parseInt(elements.regionCountInput?.value, 10) || Config.DEFAULT_BOARD_CONFIG.regionCount;
+        const seed = parseInt(elements.seedInput?.value, 10);
+        const parsedInnerRadius = parseInt(elements.innerRadiusInput?.value, 10);
+        const innerRadius = Number.isFinite(parsedInnerRadius) ? parsedInnerRadius : Config.DEFAULT_BOARD_CONFIG.innerRadius;
+        const armWidth = parseInt(elements.armWidthInput?.value, 10) || Config.DEFAULT_BOARD_CONFIG.armWidth;
 
         switch (boardShape) {
             case 'square':
@@ -176,11 +335,13 @@ const UI = (() => {
                 height = size;
                 break;
             case 'triangle':
+            case 'cross':
                 width = size;
                 height = size;
                 break;
             case 'hexagon':
             case 'circle':
+            case 'ring':
                 width = radius * 2 + 1;
                 height = radius * 2 + 1;
                 break;
@@ -196,7 +357,11 @@ const UI = (() => {
             height,
             radius,
             size,
-            triangleOrientation: elements.triangleOrientationSelect?.value || Config.DEFAULT_BOARD_CONFIG.triangleOrientation
+            triangleOrientation: elements.triangleOrientationSelect?.value || Config.DEFAULT_BOARD_CONFIG.triangleOrientation,
+            innerRadius: Math.min(Math.max(0, innerRadius), radius),
+            armWidth: Math.min(Math.max(1, armWidth), size),
+            regionCount: Math.min(Math.max(Config.MIN_REGION_COUNT, regionCount), Config.MAX_REGION_COUNT),
+            seed: Number.isFinite(seed) ? seed : Config.DEFAULT_BOARD_CONFIG.seed
         };
     }
 
@@ -211,13 +376,22 @@ const UI = (() => {
         if (elements.triangleOrientationSelect) {
             elements.triangleOrientationSelect.value = config.triangleOrientation || Config.DEFAULT_BOARD_CONFIG.triangleOrientation;
         }
+        if (elements.innerRadiusInput) {
+            elements.innerRadiusInput.value = config.innerRadius ?? Config.DEFAULT_BOARD_CONFIG.innerRadius;
+        }
+        if (elements.armWidthInput) elements.armWidthInput.value = config.armWidth ?? Config.DEFAULT_BOARD_CONFIG.armWidth;
+        if (elements.regionCountInput) {
+            elements.regionCountInput.value = config.regionCount ?? Config.DEFAULT_BOARD_CONFIG.regionCount;
+        }
+        if (elements.seedInput) elements.seedInput.value = config.seed ?? Config.DEFAULT_BOARD_CONFIG.seed;
         applyBoardShapeVisibility();
         applyGridTypeRestrictions();
         applyGridTypeVisibility();
     }
 
     function setPaletteSelection(button) {
-        elements.paletteButtons?.forEach((btn) => {
+        const buttons = [...(elements.paletteButtons || []), ...(elements.recentColorButtons || [])];
+        buttons.forEach((btn) => {
             const isSelected = btn === button && button !== null;
             btn.classList.toggle('selected', isSelected);
             btn.setAttribute('aria-pressed', String(isSelected));
@@ -241,6 +415,77 @@ const UI = (() => {
         }
     }
 
+    /**
+     * Highlights the active tool button and shows only that tool's options.
+     * Option blocks list the tools they belong to in `data-tool-options`
+     * (space separated).
+     *
+     * @param {string} tool - Active tool identifier.
+     */
+    function setActiveTool(tool) {
+        elements.toolButtons?.forEach((btn) => {
+            const isActive = btn.dataset.tool === tool;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        elements.toolOptionPanels?.forEach((panel) => {
+            const tools = panel.dataset.toolOptions.split(/\s+/);
+            panel.classList.toggle('hidden', !tools.includes(tool));
+        });
+    }
+
+    /**
+     * Disables tools that only work on some grids (buttons list them in
+     * `data-grid-types`) and symmetry modes the board cannot honor. Falls
+     * back to the brush / no symmetry when the current choice is unavailable.
+     *
+     * @param {Object} boardConfig - Configuration of the current board.
+     */
+    function applyToolAvailability(boardConfig) {
+        const state = AppState.getState();
+        elements.toolButtons?.forEach((btn) => {
+            const gridTypes = btn.dataset.gridTypes?.split(/\s+/);
+            btn.disabled = Boolean(gridTypes) && !gridTypes.includes(boardConfig.gridType);
+        });
+        const activeButton = elements.toolButtons?.find((btn) => btn.dataset.tool === state.activeTool);
+        if (activeButton?.disabled) {
+            AppState.setActiveTool('brush');
+            setActiveTool('brush');
+        }
+
+        Array.from(elements.symmetrySelect?.options || []).forEach((option) => {
+            option.disabled = !Geometry.isSymmetryModeSupported(option.value, boardConfig);
+        });
+        if (!Geometry.isSymmetryModeSupported(state.symmetryMode, boardConfig)) {
+            AppState.setSymmetryMode('none');
+        }
+        if (elements.symmetrySelect) {
+            elements.symmetrySelect.value = state.symmetryMode;
+        }
+    }
+
+    /**
+     * Shows the current zoom level as a percentage.
+     *
+     * @param {number} scale - Viewport scale (1 = 100%).
+     */
+    function updateZoomIndicator(scale) {
+        if (!elements.zoomLevel) return;
+        elements.zoomLevel.textContent = `${Math.round(scale * 100)}%`;
+    }
+
+    /**
+     * Toggles the pan button's pressed state.
+     *
+     * @param {boolean} active - Whether pan mode is active.
+     */
+    function setPanModeActive(active) {
+        const btn = elements.panButton;
+        if (!btn) return;
+        btn.classList.toggle('active', Boolean(active));
+        btn.setAttribute('aria-pressed', String(Boolean(active)));
+    }
+
     function setPaletteByColor(color) {
         if (!elements.paletteButtons?.length) return;
         const normalized = color?.toLowerCase();
@@ -261,20 +506,23 @@ const UI = (() => {
      */
     function applyBoardShapeVisibility() {
         const boardShape = elements.boardShapeSelect?.value || Config.DEFAULT_BOARD_CONFIG.boardShape;
-        const showRadius = boardShape === 'hexagon' || boardShape === 'circle';
-        const showSize = boardShape === 'square' || boardShape === 'triangle';
+        const showRadius = boardShape === 'hexagon' || boardShape === 'circle' || boardShape === 'ring';
+        const showSize = boardShape === 'square' || boardShape === 'triangle' || boardShape === 'cross';
         const showTriangleOrientation = boardShape === 'triangle';
 
         elements.radiusField?.classList.toggle('hidden', !showRadius);
         elements.sizeField?.classList.toggle('hidden', !showSize);
         elements.rectangularFields?.classList.toggle('hidden', showRadius || showSize || boardShape === 'square');
         elements.triangleOrientationField?.classList.toggle('hidden', !showTriangleOrientation);
+        elements.innerRadiusField?.classList.toggle('hidden', boardShape !== 'ring');
+        elements.armWidthField?.classList.toggle('hidden', boardShape !== 'cross');
 
         if (elements.radiusLabel) {
-            elements.radiusLabel.textContent =
-                boardShape === 'hexagon'
-                    ? 'Radius (number of hexagons from center to edge, try 3-10)'
-                    : 'Radius (tiles from center to edge)';
+            const radiusLabels = {
+                hexagon: 'Radius (number of hexagons from center to edge, try 3-10)',
+                ring: 'Outer Radius (tiles from center to edge)'
+            };
+            elements.radiusLabel.textContent = radiusLabels[boardShape] || 'Radius (tiles from center to edge)';
         }
         if (elements.radiusInput) {
             if (boardShape === 'hexagon') {
@@ -295,6 +543,241 @@ const UI = (() => {
         }
     }
 
+    /**
+     * Shows the range input only while the ruler is in range mode.
+     *
+     * @param {string} mode - 'measure' or 'range'.
+     */
+    function applyRulerMode(mode) {
+        if (elements.rulerModeSelect) elements.rulerModeSelect.value = mode;
+        elements.rulerRangeField?.classList.toggle('hidden', mode !== 'range');
+    }
+
+    /**
+     * Rebuilds the layer list (top layer first) and shows the active layer's
+     * name and opacity in the layer fields.
+     *
+     * @param {Array<Object>} layers - Layers from bottom to top.
+     * @param {string} activeLayerId - Layer painting tools work on.
+     */
+    function renderLayers(layers, activeLayerId) {
+        const list = elements.layerList;
+        if (!list) return;
+        list.innerHTML = '';
+        layers
+            .slice()
+            .reverse()
+            .forEach((layer) => {
+                const isActive = layer.id === activeLayerId;
+                const row = document.createElement('li');
+                row.className = 'layer-row';
+                row.classList.toggle('active', isActive);
+                row.dataset.layerId = layer.id;
+
+                const select = document.createElement('button');
+                select.type = 'button';
+                select.className = 'layer-select';
+                select.textContent = layer.name;
+                select.setAttribute('aria-pressed', String(isActive));
+                row.appendChild(select);
+
+                [
+                    ['visible', 'Show'],
+                    ['locked', 'Lock']
+                ].forEach(([setting, text]) => {
+                    const label = document.createElement('label');
+                    label.className = 'checkbox-label';
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = layer[setting];
+                    checkbox.dataset.layerSetting = setting;
+                    checkbox.setAttribute('aria-label', `${text} ${layer.name}`);
+                    label.append(checkbox, text);
+                    row.appendChild(label);
+                });
+                list.appendChild(row);
+            });
+
+        const index = layers.findIndex((layer) => layer.id === activeLayerId);
+        const active = layers[index];
+        if (!active) return;
+        if (elements.layerNameInput) elements.layerNameInput.value = active.name;
+        if (elements.layerOpacityInput) elements.layerOpacityInput.value = Math.round(active.opacity * 100);
+        if (elements.layerOpacityValue) elements.layerOpacityValue.textContent = `${Math.round(active.opacity * 100)}%`;
+        if (elements.removeLayerButton) elements.removeLayerButton.disabled = layers.length === 1;
+        if (elements.moveLayerUpButton) elements.moveLayerUpButton.disabled = index === layers.length - 1;
+        if (elements.moveLayerDownButton) elements.moveLayerDownButton.disabled = index === 0;
+    }
+
+    /**
+     * Lists the terrain generator's elevation bands, low ground first, with
+     * an input for the upper bound (in percent) of every band but the last.
+     *
+     * @param {Array<{label:string,hex:string,upTo:number}>} bands - Bands from Geometry.getTerrainBands.
+     */
+    function renderTerrainBands(bands) {
+        const container = elements.terrainBands;
+        if (!container) return;
+        container.innerHTML = '';
+        bands.forEach((band, index) => {
+            const row = document.createElement('label');
+            row.className = 'terrain-band';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.setProperty('--swatch-color', band.hex);
+            swatch.setAttribute('aria-hidden', 'true');
+
+            const label = document.createElement('span');
+            label.className = 'terrain-band-label';
+            label.textContent = band.label;
+            row.append(swatch, label);
+
+            if (index === bands.length - 1) {
+                row.append('100%');
+            } else {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = '100';
+                input.step = '1';
+                input.value = Math.round(band.upTo * 100);
+                input.dataset.terrainLabel = band.label;
+                input.setAttribute('aria-label', `${band.label} up to (percent)`);
+                row.append(input, '%');
+            }
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Enables Apply and Discard while a terrain draft is previewed.
+     *
+     * @param {boolean} active - Whether a terrain preview is showing.
+     */
+    function setTerrainPreviewActive(active) {
+        if (elements.applyTerrainButton) elements.applyTerrainButton.disabled = !active;
+        if (elements.discardTerrainButton) elements.discardTerrainButton.disabled = !active;
+    }
+
+    /**
+     * Fills the distribution dialog with a palette's swatches and the
+     * current settings, then shows it.
+     *
+     * @param {Object} palette - Palette whose swatches are distributed.
+     * @param {Object} settings - AppState distribution settings.
+     */
+    function openDistributionDialog(palette, settings) {
+        renderDistributionRows(palette, settings);
+        if (elements.distributionTargetSelect) elements.distributionTargetSelect.value = settings.distributionTarget;
+        if (elements.distributionSeedInput) elements.distributionSeedInput.value = settings.distributionSeed;
+        setDistributionStatus('');
+        elements.distributionDialog?.classList.remove('hidden');
+    }
+
+    function closeDistributionDialog() {
+        elements.distributionDialog?.classList.add('hidden');
+    }
+
+    /**
+     * Lists a palette's swatches with a tile count and a "kept apart"
+     * checkbox each, and offers them as the border cells' tile.
+     *
+     * @param {Object} palette - Palette whose swatches are distributed.
+     * @param {Object} settings - AppState distribution settings.
+     */
+    function renderDistributionRows(palette, settings) {
+        const container = elements.distributionRows;
+        if (!container) return;
+        container.innerHTML = '';
+        palette.colors.forEach((swatch) => {
+            const color = swatch.hex.toLowerCase();
+            const row = document.createElement('div');
+            row.className = 'distribution-row';
+
+            const chip = document.createElement('span');
+            chip.className = 'swatch';
+            chip.style.setProperty('--swatch-color', swatch.hex);
+            chip.setAttribute('aria-hidden', 'true');
+
+            const label = document.createElement('span');
+            label.className = 'distribution-label';
+            label.textContent = swatch.label;
+
+            const count = document.createElement('input');
+            count.type = 'number';
+            count.min = '0';
+            count.step = '1';
+            count.value = settings.distributionCounts[color] || 0;
+            count.dataset.distributionColor = color;
+            count.setAttribute('aria-label', `${swatch.label} tiles`);
+
+            const apart = document.createElement('label');
+            apart.className = 'checkbox-label';
+            apart.title = `No two ${swatch.label} tiles next to each other`;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = settings.distributionSpread.includes(color);
+            checkbox.dataset.distributionSpread = color;
+            apart.append(checkbox, 'Apart');
+
+            row.append(chip, label, count, apart);
+            container.appendChild(row);
+        });
+
+        const border = elements.distributionBorderSelect;
+        if (!border) return;
+        border.innerHTML = '';
+        border.appendChild(new Option('Distributed', ''));
+        palette.colors.forEach((swatch) => {
+            border.appendChild(new Option(`Keep as ${swatch.label}`, swatch.hex.toLowerCase()));
+        });
+        const colors = palette.colors.map((swatch) => swatch.hex.toLowerCase());
+        border.value = colors.includes(settings.distributionBorderColor) ? settings.distributionBorderColor : '';
+    }
+
+    /**
+     * Shows the outcome of the latest roll in the distribution dialog.
+     *
+     * @param {string} message - Status text.
+     */
+    function setDistributionStatus(message) {
+        if (elements.distributionStatus) elements.distributionStatus.textContent = message;
+    }
+
+    /**
+     * Shows the number input only while numeral stamps are selected.
+     *
+     * @param {string} icon - Icon stamped by the icon tool.
+     */
+    function applyIconName(icon) {
+        if (elements.iconSelect) elements.iconSelect.value = icon;
+        elements.iconNumberField?.classList.toggle('hidden', icon !== 'number');
+    }
+
+    /**
+     * Shows the text tool's settings, which are those of the selected
+     * annotation while one is selected.
+     *
+     * @param {{text:string,fontSize:number,rotation:number}} settings - Values to show.
+     * @param {boolean} hasSelection - Whether an annotation is selected.
+     */
+    function setAnnotationControls(settings, hasSelection) {
+        if (elements.annotationTextInput) elements.annotationTextInput.value = settings.text;
+        if (elements.annotationFontSizeInput) elements.annotationFontSizeInput.value = settings.fontSize;
+        if (elements.annotationRotationInput) elements.annotationRotationInput.value = settings.rotation;
+        if (elements.deleteAnnotationButton) elements.deleteAnnotationButton.disabled = !hasSelection;
+    }
+
+    /**
+     * Moves focus to the annotation text field with its text selected, so a
+     * freshly placed label can be typed over.
+     */
+    function focusAnnotationText() {
+        elements.annotationTextInput?.focus();
+        elements.annotationTextInput?.select();
+    }
+
     /**
      * Shows the grid-orientation dropdown only for hexagon grids, keeping the
      * controls minimal for other grid types.
@@ -303,6 +786,7 @@ const UI = (() => {
         const gridType = elements.gridTypeSelect?.value || Config.DEFAULT_BOARD_CONFIG.gridType;
         const showOrientation = gridType === 'hexagon';
         elements.orientationField?.classList.toggle('hidden', !showOrientation);
+        elements.areasFields?.classList.toggle('hidden', gridType !== 'areas');
     }
 
     /**
@@ -312,24 +796,20 @@ const UI = (() => {
      */
     function applyGridTypeRestrictions() {
         const boardShape = elements.boardShapeSelect?.value || Config.DEFAULT_BOARD_CONFIG.boardShape;
-        const allowedForHexOutline = ['hexagon', 'triangle'];
+        const unsupported = UNSUPPORTED_GRID_TYPES[boardShape] || [];
         const options = Array.from(elements.gridTypeSelect?.options || []);
         let selectionChanged = false;
 
         options.forEach((option) => {
-            if (boardShape === 'hexagon') {
-                const disabled = !allowedForHexOutline.includes(option.value);
-                option.disabled = disabled;
-                if (disabled && option.selected) {
-                    selectionChanged = true;
-                }
-            } else {
-                option.disabled = false;
+            const disabled = unsupported.includes(option.value);
+            option.disabled = disabled;
+            if (disabled && option.selected) {
+                selectionChanged = true;
             }
         });
 
         if (selectionChanged) {
-            elements.gridTypeSelect.value = allowedForHexOutline[0];
+            elements.gridTypeSelect.value = options.find((option) => !option.disabled).value;
         }
         applyGridTypeVisibility();
     }
@@ -341,9 +821,25 @@ const UI = (() => {
         updateCanvasMessage,
         getBoardConfig,
         updateBoardControls,
+        applyRulerMode,
+        applyIconName,
+        renderLayers,
+        renderTerrainBands,
+        setTerrainPreviewActive,
+        openDistributionDialog,
+        closeDistributionDialog,
+        renderDistributionRows,
+        setDistributionStatus,
+        setAnnotationControls,
+        focusAnnotationText,
         setPaletteSelection,
         setPaletteByColor,
+        renderRecentColors,
         setEraserActive,
+        setActiveTool,
+        applyToolAvailability,
+        updateZoomIndicator,
+        setPanModeActive,
         applyBoardShapeVisibility,
         applyGridTypeVisibility,
         applyGridTypeRestrictions,
@@ -85,12 +85,103 @@ const Utils = (() => {
         return new Date(timestamp).toLocaleString();
     }
 
+    /**
+     * Creates a deterministic pseudo-random generator (mulberry32) so seeded
+     * features such as area maps regenerate identically.
+     *
+     * @param {number} seed - Integer seed.
+     * @returns {Function} Function returning floats in [0, 1).
+     */
+    function createSeededRandom(seed) {
+        let stateValue = Math.floor(Number(seed) || 0) >>> 0;
+        return function () {
+            stateValue = (stateValue + 0x6d2b79f5) >>> 0;
+            let t = stateValue;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Splits a hex color into its channels.
+     *
+     * @param {string} color - Hex color ("#rgb" or "#rrggbb").
+     * @returns {Array<number>|null} `[r, g, b]` (0-255), or null for anything else.
+     */
+    function parseHexColor(color) {
+        let hex = String(color || '').replace('#', '');
+        if (hex.length === 3) {
+            hex = hex
+                .split('')
+                .map((digit) => digit + digit)
+                .join('');
+        }
+        if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+        return [0, 2, 4].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+    }
+
+    /**
+     * Mixes a color drawn with some opacity over another one.
+     *
+     * @param {string} base - Hex color underneath.
+     * @param {string} top - Hex color on top.
+     * @param {number} alpha - Opacity of the top color (0-1).
+     * @returns {string} Resulting "#rrggbb" color (the top color when either is not a hex color).
+     */
+    function blendColors(base, top, alpha) {
+        const below = parseHexColor(base);
+        const above = parseHexColor(top);
+        if (!below || !above) return top;
+        const channels = above.map((value, index) => Math.round(below[index] + (value - below[index]) * alpha));
+        return `#${channels.map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * Returns black or white, whichever reads better on top of a color.
+     *
+     * @param {string} color - Hex color ("#rgb" or "#rrggbb").
+     * @returns {string} '#000000' or '#ffffff'.
+     */
+    function getContrastingTextColor(color) {
+        const channels = parseHexColor(color);
+        if (!channels) return '#000000';
+        const [r, g, b] = channels;
+        // Perceived brightness (ITU-R BT.601 weights).
+        return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? '#000000' : '#ffffff';
+    }
+
+    /**
+     * Escapes text for use inside XML/SVG markup.
+     *
+     * @param {string} text - Raw text.
+     * @returns {string} Text with markup characters replaced by entities.
+     */
+    function escapeXML(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+        return String(text).replace(/[&<>"']/g, (character) => entities[character]);
+    }
+
+    /**
+     * Picks a fresh random seed for seeded generators.
+     *
+     * @returns {number} Positive integer seed.
+     */
+    function generateSeed() {
+        return Math.floor(Math.random() * 2147483647) + 1;
+    }
+
     return {
         debounce,
         sanitizeFileName,
         clonePolygons,
         triggerBlobDownload,
         triggerDataUrlDownload,
-        formatTimestamp
+        formatTimestamp,
+        createSeededRandom,
+        generateSeed,
+        blendColors,
+        getContrastingTextColor,
+        escapeXML
     };
 })();